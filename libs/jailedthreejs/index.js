@@ -14,39 +14,254 @@ function markGlobalStyleCacheDirty() {
   globalStyleCacheVersion += 1;
   return globalStyleCacheVersion;
 }
-let AllKeyFramesMap = /* @__PURE__ */ new Map();
-let keyframesCacheVersion = -1;
-function gatherKeyFrame_MAP() {
-  const styleVersion = getGlobalStyleCacheVersion();
-  if (keyframesCacheVersion === styleVersion) {
-    return AllKeyFramesMap;
+function createStyleCache() {
+  return {
+    version: 0,
+    cascadeKey: null,
+    cascadeIndex: [],
+    cascadeHasAncestorState: false,
+    cascadeHasSiblingState: false,
+    cascadeAttributes: [],
+    keyframesKey: null,
+    keyframes: /* @__PURE__ */ new Map(),
+    assetKey: null,
+    assets: /* @__PURE__ */ new Map(),
+    containerChecks: /* @__PURE__ */ new Map()
+  };
+}
+const documentStyleCache = createStyleCache();
+function getStyleCache(cell = null) {
+  return (cell == null ? void 0 : cell._styleCache) || documentStyleCache;
+}
+function getStyleCacheKey(cell = null) {
+  return `${globalStyleCacheVersion}|${getStyleCache(cell).version}`;
+}
+function markCellStyleCacheDirty(cell) {
+  const cache = getStyleCache(cell);
+  cache.version += 1;
+  return cache.version;
+}
+function getScopedStyleCellElement(node) {
+  if (!node || node.nodeName !== "STYLE" || !node.hasAttribute("scoped")) return null;
+  return node.closest("cell");
+}
+const watchedMediaQueries = /* @__PURE__ */ new Map();
+const styleEnvironmentListeners = /* @__PURE__ */ new Set();
+function onWatchedMediaChange() {
+  markGlobalStyleCacheDirty();
+  styleEnvironmentListeners.forEach((listener) => listener());
+}
+function watchMediaQuery(mediaText) {
+  const text = String(mediaText || "").trim();
+  if (!text || text === "all" || typeof window.matchMedia !== "function") return true;
+  let mql = watchedMediaQueries.get(text);
+  if (!mql) {
+    mql = window.matchMedia(text);
+    if (typeof mql.addEventListener === "function") {
+      mql.addEventListener("change", onWatchedMediaChange);
+    } else if (typeof mql.addListener === "function") {
+      mql.addListener(onWatchedMediaChange);
+    }
+    watchedMediaQueries.set(text, mql);
   }
-  AllKeyFramesMap.clear();
-  const KEYFRAMES_TYPES = /* @__PURE__ */ new Set();
-  if (typeof CSSRule !== "undefined") {
-    if ("KEYFRAMES_RULE" in CSSRule) KEYFRAMES_TYPES.add(CSSRule.KEYFRAMES_RULE);
-    if ("WEBKIT_KEYFRAMES_RULE" in CSSRule) KEYFRAMES_TYPES.add(CSSRule.WEBKIT_KEYFRAMES_RULE);
+  return mql.matches;
+}
+function parseContainerLength(token, size) {
+  const text = String(token).trim().toLowerCase();
+  if (text === "width" || text === "inline-size") return size.width;
+  if (text === "height" || text === "block-size") return size.height;
+  if (text === "aspect-ratio") return size.width / Math.max(size.height, 1);
+  const ratio = text.match(/^([\d.]+)\s*\/\s*([\d.]+)$/);
+  if (ratio) return parseFloat(ratio[1]) / Math.max(parseFloat(ratio[2]), 1e-6);
+  const value = parseFloat(text);
+  if (!Number.isFinite(value)) return NaN;
+  if (text.endsWith("rem")) return value * (size.rootFontSize || 16);
+  if (text.endsWith("em")) return value * (size.fontSize || 16);
+  return value;
+}
+function compareContainerValues(a, op, b) {
+  switch (op) {
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    default:
+      return Math.abs(a - b) < 1e-6;
+  }
+}
+function evaluateSizeFeature(feature, size) {
+  const text = feature.trim().toLowerCase();
+  const plain = text.match(/^(min-|max-)?(width|height|inline-size|block-size|aspect-ratio|orientation)\s*:\s*(.+)$/);
+  if (plain) {
+    const [, prefix, name, rawValue] = plain;
+    if (name === "orientation") {
+      return rawValue.trim() === (size.height >= size.width ? "portrait" : "landscape");
+    }
+    const actual = parseContainerLength(name, size);
+    const expected = parseContainerLength(rawValue, size);
+    if (prefix === "min-") return actual >= expected;
+    if (prefix === "max-") return actual <= expected;
+    return compareContainerValues(actual, "=", expected);
+  }
+  const parts = text.split(/\s*(<=|>=|<|>|=)\s*/);
+  if (parts.length !== 3 && parts.length !== 5) return false;
+  for (let i = 0; i + 2 < parts.length; i += 2) {
+    const a = parseContainerLength(parts[i], size);
+    const b = parseContainerLength(parts[i + 2], size);
+    if (!compareContainerValues(a, parts[i + 1], b)) return false;
+  }
+  return true;
+}
+function evaluateContainerCondition(conditionText, size) {
+  const text = String(conditionText || "").trim();
+  let pos = 0;
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const parseTerm = () => {
+    skipSpace();
+    if (/^not[\s(]/i.test(text.slice(pos))) {
+      pos += 3;
+      return !parseTerm();
+    }
+    if (text[pos] !== "(") return false;
+    const close = findClosingParen(text, pos);
+    if (close < 0) {
+      pos = text.length;
+      return false;
+    }
+    const inner = text.slice(pos + 1, close);
+    pos = close + 1;
+    return /^\s*(\(|not[\s(])/i.test(inner) ? evaluateContainerCondition(inner, size) : evaluateSizeFeature(inner, size);
+  };
+  let result = parseTerm();
+  for (; ; ) {
+    skipSpace();
+    const m = /^(and|or)\b/i.exec(text.slice(pos));
+    if (!m) break;
+    pos += m[0].length;
+    const next = parseTerm();
+    result = m[1].toLowerCase() === "and" ? result && next : result || next;
+  }
+  return result;
+}
+function containerRuleAppliesToCell(rule, cell) {
+  const cellElm = cell == null ? void 0 : cell.cellElm;
+  if (!cellElm) return false;
+  const computed = getComputedStyle(cellElm);
+  if (rule.containerName) {
+    const names = String(computed.containerName || "").split(/\s+/);
+    if (!names.includes(rule.containerName)) return false;
+  }
+  const query = rule.containerQuery || String(rule.conditionText || "").replace(/^(?!not\b)[\w-]+\s+(?=\(|not\b)/, "");
+  const box = cell._containerSize || cellElm.getBoundingClientRect();
+  const size = {
+    width: box.width,
+    height: box.height,
+    fontSize: parseFloat(computed.fontSize),
+    rootFontSize: parseFloat(getComputedStyle(document.documentElement).fontSize)
+  };
+  const result = evaluateContainerCondition(query, size);
+  getStyleCache(cell).containerChecks.set(rule, result);
+  return result;
+}
+function isRuleOfType(rule, typeName) {
+  const Ctor = globalThis[typeName];
+  return typeof Ctor === "function" && rule instanceof Ctor;
+}
+function scopeRuleAppliesToCell(rule, sheet, cell) {
+  var _a;
+  const cellElm = cell == null ? void 0 : cell.cellElm;
+  if (!cellElm) return false;
+  if (!rule.start) {
+    const scopeRoot = (_a = sheet.ownerNode) == null ? void 0 : _a.parentElement;
+    return !!scopeRoot && (scopeRoot === cellElm || cellElm.contains(scopeRoot) || scopeRoot.contains(cellElm));
+  }
+  try {
+    return !!cellElm.closest(rule.start);
+  } catch {
+    return false;
   }
+}
+const isolatedScopedSheets = /* @__PURE__ */ new WeakSet();
+function forEachCellStyleRule(cell, fn) {
+  const walk = (rules, sheet) => {
+    for (const rule of rules) {
+      if (isRuleOfType(rule, "CSSScopeRule")) {
+        if (scopeRuleAppliesToCell(rule, sheet, cell)) walk(rule.cssRules, sheet);
+        continue;
+      }
+      if (isRuleOfType(rule, "CSSMediaRule")) {
+        if (watchMediaQuery(rule.media.mediaText)) walk(rule.cssRules, sheet);
+        continue;
+      }
+      if (isRuleOfType(rule, "CSSSupportsRule")) {
+        if (typeof CSS !== "undefined" && CSS.supports(rule.conditionText)) walk(rule.cssRules, sheet);
+        continue;
+      }
+      if (isRuleOfType(rule, "CSSContainerRule")) {
+        if (containerRuleAppliesToCell(rule, cell)) walk(rule.cssRules, sheet);
+        continue;
+      }
+      fn(rule, sheet);
+    }
+  };
   for (const sheet of document.styleSheets) {
+    const scopedTo = getScopedStyleCellElement(sheet.ownerNode);
+    if (scopedTo && !sheet.disabled && !isolatedScopedSheets.has(sheet)) {
+      isolatedScopedSheets.add(sheet);
+      sheet.disabled = true;
+    }
+    if (sheet.disabled && !isolatedScopedSheets.has(sheet)) continue;
+    if (scopedTo && scopedTo !== (cell == null ? void 0 : cell.cellElm)) continue;
+    if (sheet.media && !watchMediaQuery(sheet.media.mediaText)) continue;
     let rules;
     try {
       rules = sheet.cssRules;
     } catch {
       continue;
     }
-    for (const rule of rules) {
-      if (KEYFRAMES_TYPES.has(rule.type)) {
-        AllKeyFramesMap.set(rule.name, rule);
-      }
-    }
+    walk(rules, sheet);
+  }
+}
+function getConvictCell(object) {
+  var _a, _b;
+  const cellElm = (_b = (_a = object == null ? void 0 : object.userData) == null ? void 0 : _a.domEl) == null ? void 0 : _b.closest("cell");
+  return cellElm ? Cell.allCells.get(cellElm) || null : null;
+}
+function invalidateConvictCell(object) {
+  markInstancerDirty(object);
+  const cell = getConvictCell(object);
+  if (cell) cell.invalidate();
+}
+let AllKeyFramesMap = documentStyleCache.keyframes;
+function gatherKeyFrame_MAP(cell = null) {
+  const cache = getStyleCache(cell);
+  const styleKey = getStyleCacheKey(cell);
+  if (cache.keyframesKey === styleKey) {
+    return cache.keyframes;
+  }
+  cache.keyframes.clear();
+  const KEYFRAMES_TYPES = /* @__PURE__ */ new Set();
+  if (typeof CSSRule !== "undefined") {
+    if ("KEYFRAMES_RULE" in CSSRule) KEYFRAMES_TYPES.add(CSSRule.KEYFRAMES_RULE);
+    if ("WEBKIT_KEYFRAMES_RULE" in CSSRule) KEYFRAMES_TYPES.add(CSSRule.WEBKIT_KEYFRAMES_RULE);
   }
-  keyframesCacheVersion = styleVersion;
-  return AllKeyFramesMap;
+  forEachCellStyleRule(cell, (rule) => {
+    if (KEYFRAMES_TYPES.has(rule.type)) {
+      cache.keyframes.set(rule.name, rule);
+    }
+  });
+  cache.keyframesKey = styleKey;
+  return cache.keyframes;
 }
-function getAnimationMap(AnimName) {
+function getAnimationMap(AnimName, cell = null) {
   if (!AnimName) return void 0;
-  gatherKeyFrame_MAP();
-  return AllKeyFramesMap.get(AnimName);
+  return gatherKeyFrame_MAP(cell).get(AnimName);
 }
 let classMap = null;
 function buildClassMap() {
@@ -58,6 +273,10 @@ function buildClassMap() {
     return m;
   }, /* @__PURE__ */ Object.create(null));
   classMap.OBJECT3D = THREE.Object3D;
+  classMap.TEXT3D = Text3D;
+  classMap.SVGSHAPE = SVGShape;
+  classMap.INSTANCEDGROUP = InstancedGroup;
+  classMap.PASS = PostPass;
 }
 function getClassMap() {
   if (!classMap) buildClassMap();
@@ -70,6 +289,22 @@ const textureLoader = new THREE.TextureLoader();
 const audioLoader = new THREE.AudioLoader();
 const mtlLoader = new MTLLoader();
 const objLoader = new OBJLoader();
+const cubeTextureLoader = new THREE.CubeTextureLoader();
+const addonModules = /* @__PURE__ */ new Map();
+function importAddon(path) {
+  if (!addonModules.has(path)) {
+    addonModules.set(path, import(`three/examples/jsm/${path}`));
+  }
+  return addonModules.get(path);
+}
+function loadEquirectangular(loader, url, onProgress) {
+  return new Promise(
+    (res, rej) => loader.load(url, (tex) => {
+      tex.mapping = THREE.EquirectangularReflectionMapping;
+      res(tex);
+    }, onProgress, rej)
+  );
+}
 const pendingStylesheetAssetParses = /* @__PURE__ */ new Set();
 function trackStylesheetParse(promise) {
   if (!promise || typeof promise.then !== "function") return;
@@ -82,25 +317,113 @@ function getUrlBasePath(url) {
   const slash = url.lastIndexOf("/");
   return slash >= 0 ? url.slice(0, slash + 1) : "";
 }
-function storeAssetValue(key, value) {
+const assetLoadRecords = /* @__PURE__ */ new WeakMap();
+function emitAssetRecord(record, type) {
+  record.cells.forEach((cell) => cell._emitAssetEvent(type, record));
+}
+const assetEntriesByResource = /* @__PURE__ */ new WeakMap();
+const evictedAssetRecords = /* @__PURE__ */ new WeakMap();
+function collectAssetResources(value, out = /* @__PURE__ */ new Set()) {
+  if (!value || typeof value !== "object") return out;
+  if (value.isObject3D) return collectConvictResources(value, out);
+  if (value.isMaterial) collectMaterialResources(value, out);
+  else if (value.isTexture || value.isBufferGeometry) out.add(value);
+  return out;
+}
+function indexAssetResources(map, key, value, record) {
+  collectAssetResources(value).forEach((resource) => {
+    const entries = assetEntriesByResource.get(resource) || [];
+    entries.push({ map, key, value, record });
+    assetEntriesByResource.set(resource, entries);
+  });
+}
+function evictAssetResource(resource) {
+  const cacheKey = geometryCacheKeys.get(resource);
+  if (cacheKey && geometryCache.get(cacheKey) === resource) geometryCache.delete(cacheKey);
+  const entries = assetEntriesByResource.get(resource);
+  if (!entries) return;
+  assetEntriesByResource.delete(resource);
+  entries.forEach(({ map, key, value, record }) => {
+    if (map.get(key) !== value) return;
+    map.delete(key);
+    if (record) {
+      if (!evictedAssetRecords.has(map)) evictedAssetRecords.set(map, /* @__PURE__ */ new Map());
+      evictedAssetRecords.get(map).set(key, record);
+    }
+    disposeAssetValue(value);
+  });
+}
+function reloadEvictedAsset(map, key) {
+  const evicted = evictedAssetRecords.get(map);
+  const record = evicted && evicted.get(key);
+  if (!record || map.has(key)) return;
+  startAssetLoad(key, record.url, record.type, map, record.textureSettings);
+}
+function storeAssetValue(key, value, map = assetMap, record = null) {
   if (value && typeof value.then === "function") {
     const pending = value.then((resolved) => {
-      assetMap.set(key, resolved);
+      map.set(key, resolved);
+      indexAssetResources(map, key, resolved, record);
+      if (record) {
+        record.status = "loaded";
+        emitAssetRecord(record, "assetload");
+      }
       return resolved;
     }).catch((err) => {
       console.error(`Failed to load asset "${key}":`, err);
-      assetMap.delete(key);
+      map.delete(key);
+      if (record) {
+        record.status = "error";
+        record.error = err;
+        emitAssetRecord(record, "asseterror");
+      }
       return null;
     });
-    assetMap.set(key, pending);
+    if (record) assetLoadRecords.set(pending, record);
+    map.set(key, pending);
   } else {
-    assetMap.set(key, value);
+    map.set(key, value);
+    indexAssetResources(map, key, value, record);
+  }
+}
+function startAssetLoad(name, url, type = null, map = assetMap, textureSettings = null) {
+  const evicted = evictedAssetRecords.get(map);
+  if (evicted) evicted.delete(name);
+  const record = {
+    name,
+    url,
+    type,
+    textureSettings,
+    loaded: 0,
+    total: 0,
+    status: "loading",
+    error: null,
+    cells: /* @__PURE__ */ new Set()
+  };
+  let loading = loadAsset(url, type, (evt) => {
+    record.loaded = evt.loaded || 0;
+    record.total = evt.lengthComputable ? evt.total : 0;
+    emitAssetRecord(record, "assetprogress");
+  });
+  if (textureSettings && Object.keys(textureSettings).length) {
+    loading = loading.then((value) => {
+      if (value == null ? void 0 : value.isTexture) applyTextureSettings(value, textureSettings);
+      return value;
+    });
+  }
+  storeAssetValue(name, loading, map, record);
+}
+function findClosingBrace(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === "{") depth++;
+    else if (text[i] === "}" && --depth === 0) return i;
   }
+  return -1;
 }
-function parseAssetRulesFromText(cssText) {
+function parseAssetRulesFromText(cssText, media = []) {
   if (!cssText || typeof cssText !== "string") return [];
   const ignoreAtRules = /* @__PURE__ */ new Set([
-    "media",
     "import",
     "supports",
     "keyframes",
@@ -110,16 +433,29 @@ function parseAssetRulesFromText(cssText) {
     "page",
     "counter-style",
     "font-feature-values",
-    "viewport"
+    "viewport",
+    "container",
+    "scope",
+    "layer"
   ]);
   const assets = [];
-  const atRuleRegex = /@([A-Za-z0-9_-]+)\s*\{([\s\S]*?)\}/g;
+  const text = cssText.replace(/\/\*[\s\S]*?\*\//g, "");
+  const atRuleRegex = /@([A-Za-z0-9_-]+)([^{};]*)\{/g;
   let match;
-  while ((match = atRuleRegex.exec(cssText)) !== null) {
+  while ((match = atRuleRegex.exec(text)) !== null) {
     const atName = match[1];
+    const open = atRuleRegex.lastIndex - 1;
+    const close = findClosingBrace(text, open);
+    if (close < 0) break;
+    atRuleRegex.lastIndex = close + 1;
+    const body = text.slice(open + 1, close);
+    if (atName.toLowerCase() === "media") {
+      assets.push(...parseAssetRulesFromText(body, [...media, match[2].trim()]));
+      continue;
+    }
     if (ignoreAtRules.has(atName.toLowerCase())) continue;
-    const body = match[2] || "";
     const obj = {};
+    const textureSettings = {};
     body.split(";").forEach((line) => {
       const idx = line.indexOf(":");
       if (idx <= 0) return;
@@ -127,39 +463,83 @@ function parseAssetRulesFromText(cssText) {
       const rawValue = line.slice(idx + 1).trim();
       if (!key || !rawValue) return;
       obj[key] = rawValue.replace(/^['"(]+|['")]+$/g, "");
+      const setting = getTextureSettingKey(key);
+      if (setting) textureSettings[setting] = obj[key];
     });
-    const url = "." + obj.url;
-    if (!url) continue;
     const name = obj.name && obj.name.trim() ? obj.name.trim() : atName;
-    assets.push({ name, url });
+    if (obj.cube) {
+      const faces = obj.cube.split(",").map((face) => face.trim().replace(/^['"]+|['"]+$/g, "")).filter(Boolean);
+      if (faces.length !== 6) {
+        console.warn(`Cube map asset "${name}" needs six faces (px, nx, py, ny, pz, nz), got ${faces.length}.`);
+        continue;
+      }
+      assets.push({ name, url: faces.map((face) => "." + face).join(","), type: "cube", media });
+      continue;
+    }
+    if (obj.vertex || obj.fragment) {
+      const vertexUrl = obj.vertex ? "." + obj.vertex : "";
+      const fragmentUrl = obj.fragment ? "." + obj.fragment : "";
+      assets.push({ name, url: `${vertexUrl}|${fragmentUrl}`, type: "shader", media });
+      continue;
+    }
+    if (!obj.url) continue;
+    const url = "." + obj.url;
+    assets.push({ name, url, type: obj.type || null, textureSettings, media });
   }
   return assets;
 }
-function registerParsedAssetRuleEntries(entries) {
+const assetSourceUrls = /* @__PURE__ */ new WeakMap();
+function registerParsedAssetRuleEntries(entries, map = assetMap) {
   if (!Array.isArray(entries)) return;
+  if (!assetSourceUrls.has(map)) assetSourceUrls.set(map, /* @__PURE__ */ new Map());
+  const sourceUrls = assetSourceUrls.get(map);
+  const winners = /* @__PURE__ */ new Map();
   for (const entry of entries) {
     if (!(entry == null ? void 0 : entry.name) || !(entry == null ? void 0 : entry.url)) continue;
-    if (!assetMap.has(entry.name)) {
-      storeAssetValue(entry.name, loadAsset(entry.url));
+    if ((entry.media || []).every((condition) => watchMediaQuery(condition))) {
+      winners.set(entry.name, entry);
     }
   }
+  for (const entry of winners.values()) {
+    const source = `${entry.url}|${JSON.stringify(entry.textureSettings || {})}`;
+    if (!map.has(entry.name) || sourceUrls.has(entry.name) && sourceUrls.get(entry.name) !== source) {
+      sourceUrls.set(entry.name, source);
+      startAssetLoad(entry.name, entry.url, entry.type, map, entry.textureSettings);
+    }
+  }
+}
+function gatherScopedAssetRules(cell) {
+  const cache = getStyleCache(cell);
+  const styleKey = getStyleCacheKey(cell);
+  if (cache.assetKey === styleKey) return;
+  const entries = [];
+  cell.cellElm.querySelectorAll("style[scoped]").forEach((styleEl) => {
+    if (getScopedStyleCellElement(styleEl) !== cell.cellElm) return;
+    entries.push(...parseAssetRulesFromText(styleEl.textContent || ""));
+  });
+  registerParsedAssetRuleEntries(entries, cache.assets);
+  cache.assetKey = styleKey;
 }
-function gatherAssetRules() {
+function gatherAssetRules(cell = null) {
+  if (cell == null ? void 0 : cell.cellElm) gatherScopedAssetRules(cell);
   const styleVersion = getGlobalStyleCacheVersion();
   if (gatherAssetRules._cacheVersion === styleVersion) {
     return;
   }
   const linkSheetsToParse = [];
+  const inlineEntries = [];
   for (const sheet of document.styleSheets) {
     const owner = sheet.ownerNode;
+    if (getScopedStyleCellElement(owner)) continue;
     if ((owner == null ? void 0 : owner.nodeName) === "STYLE") {
-      registerParsedAssetRuleEntries(parseAssetRulesFromText(owner.textContent || ""));
+      inlineEntries.push(...parseAssetRulesFromText(owner.textContent || ""));
       continue;
     }
     if ((owner == null ? void 0 : owner.nodeName) === "LINK" && sheet.href) {
       linkSheetsToParse.push(sheet.href);
     }
   }
+  registerParsedAssetRuleEntries(inlineEntries);
   const uniqueLinks = [...new Set(linkSheetsToParse)];
   if (!gatherAssetRules._linkFetchByVersion) {
     gatherAssetRules._linkFetchByVersion = /* @__PURE__ */ new Map();
@@ -185,16 +565,25 @@ function gatherAssetRules() {
   }
   gatherAssetRules._cacheVersion = styleVersion;
 }
-function getAsset(name, path = null) {
+const BUILTIN_ASSET_GEOMETRIES = {
+  cube: "BoxGeometry",
+  sphere: "SphereGeometry",
+  plane: "PlaneGeometry",
+  torus: "TorusGeometry"
+};
+function getAsset(name, path = null, cell = null) {
   if(name[0] == "#") return;
-  if (assetMap.size === 0) {
-    storeAssetValue("cube", new THREE.BoxGeometry());
-    storeAssetValue("sphere", new THREE.SphereGeometry());
-    storeAssetValue("plane", new THREE.PlaneGeometry());
-    storeAssetValue("torus", new THREE.TorusGeometry());
+  if (!assetMap.has(name) && BUILTIN_ASSET_GEOMETRIES[name]) {
+    storeAssetValue(name, new THREE[BUILTIN_ASSET_GEOMETRIES[name]]());
   }
-  gatherAssetRules();
+  gatherAssetRules(cell);
   const key = name;
+  const scopedAssets = cell ? getStyleCache(cell).assets : null;
+  if (scopedAssets) reloadEvictedAsset(scopedAssets, key);
+  if (scopedAssets && scopedAssets.has(key)) {
+    return trackCellAsset(cell, scopedAssets.get(key));
+  }
+  reloadEvictedAsset(assetMap, key);
   if (!assetMap.has(key)) {
     if (!path) {
       if (pendingStylesheetAssetParses.size > 0) {
@@ -209,21 +598,41 @@ function getAsset(name, path = null) {
       console.warn(`Asset "${name}" missing and no path supplied.`);
       return null;
     }
-    storeAssetValue(key, loadAsset(path));
+    startAssetLoad(key, path);
   }
-  return assetMap.get(key);
+  return trackCellAsset(cell, assetMap.get(key));
+}
+function hasAsset(name, cell = null) {
+  gatherAssetRules(cell);
+  const scopedAssets = cell ? getStyleCache(cell).assets : null;
+  const known = (map) => map.has(name) || !!(evictedAssetRecords.get(map) && evictedAssetRecords.get(map).has(name));
+  return !!scopedAssets && known(scopedAssets) || known(assetMap);
+}
+function trackCellAsset(cell, value) {
+  const record = value && typeof value.then === "function" ? assetLoadRecords.get(value) : null;
+  if (cell && record) cell._trackAsset(record, value);
+  return value;
 }
-function loadAsset(url) {
-  const ext = (url.split(".").pop() || "").toLowerCase();
+function fetchShaderSource(url) {
+  return fetch(url).then((response) => {
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return response.text();
+  });
+}
+function loadAsset(url, type = null, onProgress = void 0) {
+  const ext = (type || (/\.typeface\.json$/i.test(url) ? "font" : url.split(".").pop()) || "").toLowerCase();
   switch (ext) {
     case "gltf":
     case "glb":
       return new Promise(
-        (res, rej) => gltfLoader.load(url, (d) => res(d.scene || d), null, rej)
+        (res, rej) => gltfLoader.load(url, (d) => {
+          if (d.scene) d.scene.animations = d.animations || [];
+          res(d.scene || d);
+        }, onProgress, rej)
       );
     case "fbx":
       return new Promise(
-        (res, rej) => fbxLoader.load(url, res, null, rej)
+        (res, rej) => fbxLoader.load(url, res, onProgress, rej)
       );
     case "png":
     case "jpg":
@@ -233,6 +642,22 @@ function loadAsset(url) {
       return new Promise(
         (res, rej) => textureLoader.load(url, (tex) => res(tex), void 0, rej)
       );
+    case "hdr":
+      return importAddon("loaders/HDRLoader.js").then(
+        (mod) => mod.HDRLoader,
+        () => importAddon("loaders/RGBELoader.js").then((mod) => mod.RGBELoader)
+      ).then((Loader) => loadEquirectangular(new Loader(), url, onProgress));
+    case "exr":
+      return importAddon("loaders/EXRLoader.js").then(
+        (mod) => loadEquirectangular(new mod.EXRLoader(), url, onProgress)
+      );
+    case "cube":
+      return new Promise(
+        (res, rej) => cubeTextureLoader.load(url.split(","), (tex) => {
+          tex.colorSpace = THREE.SRGBColorSpace;
+          res(tex);
+        }, void 0, rej)
+      );
     case "mp3":
     case "wav":
     case "ogg":
@@ -266,14 +691,33 @@ function loadAsset(url) {
           (mtl) => {
             mtl.preload();
             objLoader.setMaterials(mtl);
-            objLoader.load(url, res, null, rej);
+            objLoader.load(url, res, onProgress, rej);
           },
           void 0,
           () => {
-            objLoader.load(url, res, null, rej);
+            objLoader.load(url, res, onProgress, rej);
           }
         );
       });
+    case "font":
+      return importAddon("loaders/FontLoader.js").then(
+        ({ FontLoader }) => new Promise((res, rej) => new FontLoader().load(url, res, onProgress, rej))
+      );
+    case "svg":
+      return importAddon("loaders/SVGLoader.js").then(
+        ({ SVGLoader }) => new Promise((res, rej) => new SVGLoader().load(url, res, onProgress, rej))
+      );
+    case "vert":
+    case "frag":
+    case "glsl":
+      return fetchShaderSource(url);
+    case "shader": {
+      const [vertexUrl, fragmentUrl] = url.split("|");
+      return Promise.all([
+        vertexUrl ? fetchShaderSource(vertexUrl) : null,
+        fragmentUrl ? fetchShaderSource(fragmentUrl) : null
+      ]).then(([vertexShader, fragmentShader]) => ({ vertexShader, fragmentShader }));
+    }
     case "json":
       return fetch(url).then((response) => response.json()).then((json) => {
         try {
@@ -289,6 +733,143 @@ function loadAsset(url) {
       return Promise.resolve(null);
   }
 }
+const EXTRUDE_OPTION_KEYS = ["depth", "curveSegments", "bevelEnabled", "bevelThickness", "bevelSize", "bevelOffset", "bevelSegments"];
+class ShapeConvict extends THREE.Mesh {
+  constructor(defaults) {
+    super(new THREE.BufferGeometry());
+    this._rebuildQueued = false;
+    this._buildToken = 0;
+    this.shapeOptions = new Proxy({ ...defaults }, {
+      set: (target, key, value) => {
+        if (target[key] !== value) {
+          target[key] = value;
+          this.scheduleRebuild();
+        }
+        return true;
+      }
+    });
+  }
+  scheduleRebuild() {
+    if (this._rebuildQueued) return;
+    this._rebuildQueued = true;
+    queueMicrotask(() => {
+      this._rebuildQueued = false;
+      this.updateGeometry();
+    });
+  }
+  updateGeometry() {
+    const token = ++this._buildToken;
+    return Promise.resolve(this.buildGeometry()).then((geometry) => {
+      if (!geometry || token !== this._buildToken) return;
+      const previous = this.geometry;
+      this.geometry = geometry;
+      if (this.userData._heldResources) {
+        retainConvictResources(this);
+      } else if (previous) {
+        previous.dispose();
+      }
+      invalidateConvictCell(this);
+      this.dispatchEvent({ type: "GeometryRebuilt", target: this });
+    }).catch((err) => console.error("Failed to build shape geometry", err));
+  }
+  extrudeShapes(shapes) {
+    const options = {};
+    EXTRUDE_OPTION_KEYS.forEach((key) => {
+      if (this.shapeOptions[key] !== void 0) options[key] = this.shapeOptions[key];
+    });
+    if (!(options.depth > 0) && !options.bevelEnabled) {
+      return new THREE.ShapeGeometry(shapes, options.curveSegments);
+    }
+    return new THREE.ExtrudeGeometry(shapes, options);
+  }
+  buildGeometry() {
+    return null;
+  }
+}
+class Text3D extends ShapeConvict {
+  constructor() {
+    super({ size: 1, depth: 0.2, curveSegments: 8, bevelEnabled: false, bevelThickness: 0.02, bevelSize: 0.01, bevelOffset: 0, bevelSegments: 3, align: "center" });
+    this.isText3D = true;
+    this._text = "";
+    this._font = null;
+    this.textOptions = this.shapeOptions;
+  }
+  get text() {
+    return this._text;
+  }
+  set text(value) {
+    const next = String(value ?? "").trim();
+    if (next === this._text) return;
+    this._text = next;
+    this.scheduleRebuild();
+  }
+  get font() {
+    return this._font;
+  }
+  set font(value) {
+    if (value === this._font) return;
+    this._font = value;
+    this.scheduleRebuild();
+  }
+  buildGeometry() {
+    const font = this._font;
+    if (!font || typeof font.generateShapes !== "function") return null;
+    const options = this.shapeOptions;
+    const geometry = this.extrudeShapes(font.generateShapes(this._text, options.size));
+    geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+    const align = String(options.align).toLowerCase();
+    const offsetX = align === "left" ? -box.min.x : align === "right" ? -box.max.x : -(box.min.x + box.max.x) / 2;
+    geometry.translate(offsetX, 0, 0);
+    return geometry;
+  }
+}
+class InstancedGroup extends THREE.Group {
+  constructor() {
+    super();
+    this.isInstancedGroup = true;
+  }
+}
+class PostPass extends THREE.Object3D {
+  constructor() {
+    super();
+    this.isPostPass = true;
+    this.passType = "";
+    this.enabled = true;
+  }
+}
+class SVGShape extends ShapeConvict {
+  constructor() {
+    super({ size: 1, depth: 0.1, curveSegments: 12, bevelEnabled: false, bevelThickness: 0.02, bevelSize: 0.01, bevelOffset: 0, bevelSegments: 3 });
+    this.isSVGShape = true;
+    this._svg = null;
+  }
+  get svg() {
+    return this._svg;
+  }
+  set svg(value) {
+    if (value === this._svg) return;
+    this._svg = value;
+    this.scheduleRebuild();
+  }
+  buildGeometry() {
+    const data = this._svg;
+    if (!(data == null ? void 0 : data.paths)) return null;
+    return importAddon("loaders/SVGLoader.js").then(({ SVGLoader }) => {
+      const shapes = data.paths.flatMap((path) => SVGLoader.createShapes(path));
+      if (!shapes.length) return null;
+      const geometry = this.extrudeShapes(shapes);
+      geometry.scale(1, -1, 1);
+      geometry.computeBoundingBox();
+      const box = geometry.boundingBox;
+      const span = Math.max(box.max.x - box.min.x, box.max.y - box.min.y) || 1;
+      geometry.translate(-(box.min.x + box.max.x) / 2, -(box.min.y + box.max.y) / 2, 0);
+      const scale = this.shapeOptions.size / span;
+      geometry.scale(scale, scale, 1);
+      return geometry;
+    });
+  }
+}
 function fastRemove_arry(arry, item) {
   const index = arry.indexOf(item);
   if (index !== -1) {
@@ -316,7 +897,87 @@ function lerpArray(from, to, t, lerpMethod) {
   }
   return out;
 }
-function lerpValue(from, to, t, lerpMethod = lerpNumber) {
+const COLOR_INTERPOLATION_SPACES = /* @__PURE__ */ new Set(["srgb", "srgb-linear", "oklab", "oklch", "hsl"]);
+function srgbChannelToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+function linearChannelToSrgb(c) {
+  return c <= 31308e-7 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+function linearRgbToOklab(r, g, b) {
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s
+  ];
+}
+function oklabToLinearRgb(L, a, b) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s
+  ];
+}
+function colorToSpace(color, space) {
+  const linear = { r: color.r, g: color.g, b: color.b };
+  THREE.ColorManagement.convert(linear, THREE.ColorManagement.workingColorSpace, THREE.LinearSRGBColorSpace);
+  switch (space) {
+    case "srgb-linear":
+      return [linear.r, linear.g, linear.b];
+    case "oklab":
+      return linearRgbToOklab(linear.r, linear.g, linear.b);
+    case "oklch": {
+      const [L, a, b] = linearRgbToOklab(linear.r, linear.g, linear.b);
+      return [L, Math.hypot(a, b), Math.atan2(b, a)];
+    }
+    case "hsl": {
+      const hsl = color.getHSL({ h: 0, s: 0, l: 0 }, THREE.SRGBColorSpace);
+      return [hsl.h, hsl.s, hsl.l];
+    }
+    default:
+      return [linearChannelToSrgb(linear.r), linearChannelToSrgb(linear.g), linearChannelToSrgb(linear.b)];
+  }
+}
+function colorFromSpace(values, space, target = new THREE.Color()) {
+  const [x, y, z] = values;
+  switch (space) {
+    case "srgb-linear":
+      return target.setRGB(x, y, z, THREE.LinearSRGBColorSpace);
+    case "oklab":
+      return target.setRGB(...oklabToLinearRgb(x, y, z), THREE.LinearSRGBColorSpace);
+    case "oklch":
+      return target.setRGB(...oklabToLinearRgb(x, y * Math.cos(z), y * Math.sin(z)), THREE.LinearSRGBColorSpace);
+    case "hsl":
+      return target.setHSL(x, y, z, THREE.SRGBColorSpace);
+    default:
+      return target.setRGB(x, y, z, THREE.SRGBColorSpace);
+  }
+}
+function lerpColor(from, to, t, space = "srgb") {
+  const a = colorToSpace(from, space);
+  const b = colorToSpace(to, space);
+  const hueIndex = space === "oklch" ? 2 : space === "hsl" ? 0 : -1;
+  if (hueIndex >= 0) {
+    const period = space === "oklch" ? Math.PI * 2 : 1;
+    const chromaIndex = 1;
+    if (a[chromaIndex] < 1e-4) a[hueIndex] = b[hueIndex];
+    if (b[chromaIndex] < 1e-4) b[hueIndex] = a[hueIndex];
+    let delta = b[hueIndex] - a[hueIndex];
+    delta -= period * Math.round(delta / period);
+    b[hueIndex] = a[hueIndex] + delta;
+  }
+  return colorFromSpace(a.map((v, i) => lerpNumber(v, b[i], t)), space);
+}
+function colorFromCSSTuple(values) {
+  return new THREE.Color().setRGB(values[0] ?? 0, values[1] ?? 0, values[2] ?? 0, THREE.SRGBColorSpace);
+}
+function lerpValue(from, to, t, lerpMethod = lerpNumber, colorSpace = "srgb") {
   const isNum = (v) => typeof v === "number";
   const isArr = Array.isArray;
   if (isNum(from) && isNum(to)) {
@@ -325,6 +986,9 @@ function lerpValue(from, to, t, lerpMethod = lerpNumber) {
   if (isArr(from) && isArr(to)) {
     return lerpArray(from, to, t, lerpMethod);
   }
+  if ((from == null ? void 0 : from.isColor) && (to == null ? void 0 : to.isColor)) {
+    return lerpColor(from, to, t, colorSpace);
+  }
   return to;
 }
 function cubicBezier(p0, p1, p2, p3) {
@@ -378,8 +1042,8 @@ function _get_Equation(timingFunction) {
   }
   return (t) => t;
 }
-function animateLerp(from, to, durationMs, onUpdate, onComplete, timingFunction = "linear", signal = null) {
-  const isAnimatable = (v) => typeof v === "number" || Array.isArray(v);
+function animateLerp(from, to, durationMs, onUpdate, onComplete, timingFunction = "linear", signal = null, colorSpace = "srgb") {
+  const isAnimatable = (v) => typeof v === "number" || Array.isArray(v) || !!(v == null ? void 0 : v.isColor);
   let rafId = 0;
   let settled = false;
   const finish = (shouldComplete, value = to) => {
@@ -429,7 +1093,7 @@ function animateLerp(from, to, durationMs, onUpdate, onComplete, timingFunction
     let t = (now - start) / durationMs;
     if (t >= 1) t = 1;
     const easedT = ease(t);
-    const value = lerpValue(from, to, easedT, lerpNumber);
+    const value = lerpValue(from, to, easedT, lerpNumber, colorSpace);
     if (onUpdate) onUpdate(value, easedT);
     if (t < 1) {
       rafId = requestAnimationFrame(step);
@@ -460,7 +1124,7 @@ async function KeyFrameAnimationLerp(object, animationObj, signal = null) {
   var _a;
   if (!object || !(animationObj == null ? void 0 : animationObj.name) || !(animationObj == null ? void 0 : animationObj.duration)) return;
   if (signal == null ? void 0 : signal.aborted) return;
-  const keyFramesRule = getAnimationMap(animationObj.name);
+  const keyFramesRule = getAnimationMap(animationObj.name, getConvictCell(object));
   if (!keyFramesRule || !keyFramesRule.cssRules) {
     console.error(`Animation "${animationObj.name}" not found or has no rules.`);
     return;
@@ -500,7 +1164,7 @@ async function KeyFrameAnimationLerp(object, animationObj, signal = null) {
           const toVal = toProps[key];
           const resolveValue = (v) => v && typeof v.then === "function" ? v : Promise.resolve(v);
           return Promise.all([resolveValue(fromVal), resolveValue(toVal)]).then(([resolvedFrom, resolvedTo]) => new Promise((resolve) => {
-            var _a2;
+            var _a2, _b;
             if (signal == null ? void 0 : signal.aborted) {
               resolve();
               return;
@@ -518,18 +1182,23 @@ async function KeyFrameAnimationLerp(object, animationObj, signal = null) {
             if (signal) {
               signal.addEventListener("abort", onAbort, { once: true });
             }
+            const { parent: targetParent, key: targetKey } = deep_searchParms(object, key.split("-"));
+            const colorTarget = !!((_b = targetParent[targetKey]) == null ? void 0 : _b.isColor);
+            const toLerpable = (v) => colorTarget && Array.isArray(v) ? colorFromCSSTuple(v) : v;
             animateLerp(
-              resolvedFrom,
-              resolvedTo,
+              toLerpable(resolvedFrom),
+              toLerpable(resolvedTo),
               segmentMs,
               (v) => {
                 if (signal == null ? void 0 : signal.aborted) return;
                 const { parent, key: finalKey } = deep_searchParms(object, key.split("-"));
                 exchange_rule(parent, finalKey, v);
+                invalidateConvictCell(object);
               },
               finish,
               ((_a2 = animationObj.timing) == null ? void 0 : _a2.fun) || "linear",
-              signal
+              signal,
+              animationObj.colorSpace || "srgb"
             );
           }));
         })
@@ -552,17 +1221,8 @@ async function KeyFrameAnimationLerp(object, animationObj, signal = null) {
     }
   }
 }
-let selectorRuleCache = /* @__PURE__ */ new Map();
-let selectorRuleCacheVersion = -1;
 let warnedLegacyNameClassFallback = false;
 let asyncAssignmentSerial = 0;
-function ensureSelectorRuleCache() {
-  const version = getGlobalStyleCacheVersion();
-  if (selectorRuleCacheVersion !== version) {
-    selectorRuleCache.clear();
-    selectorRuleCacheVersion = version;
-  }
-}
 function getObjectClassSelectors(object) {
   const aliasList = object == null ? void 0 : object.classList;
   if (Array.isArray(aliasList)) return aliasList;
@@ -580,9 +1240,6 @@ function getObjectClassSelectors(object) {
   }
   return [];
 }
-function hasClassPseudoRule(object, pseudo) {
-  return getObjectClassSelectors(object).some((cls) => getCSSRule(`.${cls}${pseudo}`));
-}
 function animationConfigKey(animCfg) {
   var _a, _b;
   if (!animCfg) return null;
@@ -590,7 +1247,8 @@ function animationConfigKey(animCfg) {
     animCfg.name || "",
     animCfg.duration || 0,
     ((_a = animCfg.timing) == null ? void 0 : _a.fun) || "linear",
-    ((_b = animCfg.iteration) == null ? void 0 : _b.count) ?? 1
+    ((_b = animCfg.iteration) == null ? void 0 : _b.count) ?? 1,
+    animCfg.colorSpace || "srgb"
   ].join("|");
 }
 function stopObjectAnimation(object) {
@@ -639,103 +1297,1053 @@ function cloneMaterialLike(material) {
   }
   return material.clone ? material.clone() : material;
 }
-function parseAnimationCSS(value) {
-  if (!value) return null;
-  const lower = value.trim().toLowerCase();
-  if (!lower || lower === "none") return null;
-  const parts = lower.split(/\s+/).filter(Boolean);
-  if (!parts.length) return null;
-  const nameToken = parts.shift();
-  if (!nameToken) return null;
-  let durationMs = 1e3;
-  let timingFun = "linear";
-  let iterationCount = 1;
-  if (parts.length) {
-    const timeToken = parts[0];
-    if (/\d/.test(timeToken)) {
-      parts.shift();
-      if (timeToken.endsWith("ms")) {
-        durationMs = parseFloat(timeToken);
-      } else if (timeToken.endsWith("s")) {
-        durationMs = parseFloat(timeToken) * 1e3;
-      } else {
-        durationMs = parseFloat(timeToken);
-      }
+const TEXTURE_SETTING_KEYS = {
+  repeat: "repeat",
+  offset: "offset",
+  center: "center",
+  rotation: "rotation",
+  wrap: "wrap",
+  wraps: "wrapS",
+  wrapt: "wrapT",
+  anisotropy: "anisotropy",
+  colorspace: "colorSpace",
+  magfilter: "magFilter",
+  minfilter: "minFilter",
+  flipy: "flipY",
+  generatemipmaps: "generateMipmaps",
+  channel: "channel"
+};
+const TEXTURE_WRAP_MODES = {
+  repeat: "RepeatWrapping",
+  clamp: "ClampToEdgeWrapping",
+  "clamp-to-edge": "ClampToEdgeWrapping",
+  mirror: "MirroredRepeatWrapping",
+  "mirrored-repeat": "MirroredRepeatWrapping"
+};
+const TEXTURE_FILTERS = {
+  nearest: "NearestFilter",
+  linear: "LinearFilter",
+  "nearest-mipmap-nearest": "NearestMipmapNearestFilter",
+  "nearest-mipmap-linear": "NearestMipmapLinearFilter",
+  "linear-mipmap-nearest": "LinearMipmapNearestFilter",
+  "linear-mipmap-linear": "LinearMipmapLinearFilter"
+};
+const TEXTURE_COLOR_SPACES = {
+  srgb: "SRGBColorSpace",
+  "srgb-linear": "LinearSRGBColorSpace",
+  linear: "LinearSRGBColorSpace",
+  none: "NoColorSpace"
+};
+const textureCloneSources = /* @__PURE__ */ new WeakMap();
+function getTextureSettingKey(name) {
+  return TEXTURE_SETTING_KEYS[String(name).toLowerCase().replace(/-/g, "")] || null;
+}
+function applyTextureSetting(texture, setting, raw, cell = null) {
+  const text = convertCSSAngles(String(raw).trim()).replace(/^\(([\s\S]*)\)$/, "$1").trim();
+  const tokens = text.toLowerCase().split(/[\s,]+/).filter(Boolean);
+  const numbers = tokens.map(parseFloat);
+  let needsUpload = false;
+  const assign = (key, next) => {
+    if (next === void 0 || typeof next === "number" && Number.isNaN(next)) {
+      console.warn(`Invalid texture ${setting} value "${raw}".`);
+      return;
     }
-  }
-  const infIndex = parts.findIndex((t) => t === "infinite" || t === "infinity");
-  if (infIndex !== -1) {
-    iterationCount = "infinite";
-    parts.splice(infIndex, 1);
-  } else if (parts.length) {
-    const maybeCount = parseInt(parts[parts.length - 1], 10);
-    if (Number.isFinite(maybeCount) && maybeCount > 0) {
-      iterationCount = maybeCount;
-      parts.pop();
+    if (texture[key] === next) return;
+    texture[key] = next;
+    needsUpload = true;
+  };
+  const lookup = (table, token) => table[token] ? THREE[table[token]] : void 0;
+  switch (setting) {
+    case "repeat":
+    case "offset":
+    case "center":
+      if (numbers.some(Number.isNaN) || !numbers.length) {
+        console.warn(`Invalid texture ${setting} value "${raw}".`);
+        return;
+      }
+      texture[setting].set(numbers[0], numbers.length > 1 ? numbers[1] : numbers[0]);
+      return;
+    case "rotation":
+      if (Number.isFinite(numbers[0])) texture.rotation = numbers[0];
+      return;
+    case "wrap": {
+      const wrapS = lookup(TEXTURE_WRAP_MODES, tokens[0]);
+      const wrapT = lookup(TEXTURE_WRAP_MODES, tokens[1] || tokens[0]);
+      if (wrapS === void 0 || wrapT === void 0) {
+        console.warn(`Invalid texture wrap value "${raw}".`);
+        return;
+      }
+      assign("wrapS", wrapS);
+      assign("wrapT", wrapT);
+      break;
     }
+    case "wrapS":
+    case "wrapT":
+      assign(setting, lookup(TEXTURE_WRAP_MODES, tokens[0]));
+      break;
+    case "magFilter":
+    case "minFilter":
+      assign(setting, lookup(TEXTURE_FILTERS, tokens[0]));
+      break;
+    case "colorSpace":
+      assign(setting, lookup(TEXTURE_COLOR_SPACES, tokens[0]));
+      break;
+    case "anisotropy":
+      assign(setting, tokens[0] === "max" ? cell ? cell.threeRenderer.capabilities.getMaxAnisotropy() : Infinity : numbers[0]);
+      break;
+    case "flipY":
+    case "generateMipmaps":
+      assign(setting, tokens[0] !== "false" && tokens[0] !== "0");
+      break;
+    case "channel":
+      assign(setting, numbers[0]);
+      break;
   }
-  if (parts.length) {
-    timingFun = parts.join(" ");
+  if (needsUpload) texture.needsUpdate = true;
+}
+function applyTextureSettings(texture, settings, cell = null) {
+  for (const setting in settings) {
+    applyTextureSetting(texture, setting, settings[setting], cell);
   }
-  return {
-    name: nameToken,
-    duration: durationMs,
-    iteration: { count: iterationCount },
-    timing: { fun: timingFun }
-  };
 }
-function parseTransitionCSS(value) {
-  if (!value) return null;
-  const lower = value.trim().toLowerCase();
-  if (!lower || lower === "none") return null;
-  const parts = lower.split(/\s+/).filter(Boolean);
-  if (!parts.length) return null;
-  const timeToken = parts.shift();
-  let durationMs;
-  if (timeToken.endsWith("ms")) {
-    durationMs = parseFloat(timeToken);
-  } else if (timeToken.endsWith("s")) {
-    durationMs = parseFloat(timeToken) * 1e3;
-  } else {
-    durationMs = parseFloat(timeToken);
+function lookupObjectPath(root, path) {
+  let parent = root;
+  for (let i = 0; i < path.length - 1; i++) {
+    parent = parent == null ? void 0 : parent[path[i]];
+    if (parent == null || typeof parent !== "object") return null;
   }
-  if (!Number.isFinite(durationMs) || durationMs <= 0) {
-    return null;
+  return { parent, key: path[path.length - 1] };
+}
+function isTextureSlot(parent, key) {
+  var _a;
+  return !!((_a = parent[key]) == null ? void 0 : _a.isTexture) || !!parent.isMaterial && /map$/i.test(key);
+}
+function applyConvictTextureSetting(object, slotPath, setting, value, declarations) {
+  const expanded = expandCSSValue(value, object, declarations);
+  if (expanded == null) return;
+  const allSettings = object.userData._textureSettings || (object.userData._textureSettings = /* @__PURE__ */ Object.create(null));
+  const slot = slotPath.join("-");
+  const settings = allSettings[slot] || (allSettings[slot] = /* @__PURE__ */ Object.create(null));
+  settings[setting] = expanded;
+  const target = lookupObjectPath(object, slotPath);
+  const texture = target ? target.parent[target.key] : null;
+  if (texture && texture.isTexture) {
+    applyTextureSetting(texture, setting, expanded, getConvictCell(object));
   }
-  const timingFun = parts.join(" ") || "linear";
-  return {
-    duration: durationMs,
-    timing: { fun: timingFun }
-  };
 }
-function getCSSRule(selector) {
-  ensureSelectorRuleCache();
-  if (selectorRuleCache.has(selector)) {
-    return selectorRuleCache.get(selector) || void 0;
+function adoptConvictTexture(object, slot, parent, key, texture) {
+  var _a;
+  const current = parent[key];
+  if (current && textureCloneSources.get(current) === texture) return current;
+  const copy = texture.clone();
+  textureCloneSources.set(copy, texture);
+  const settings = (_a = object.userData._textureSettings) == null ? void 0 : _a[slot];
+  if (settings) applyTextureSettings(copy, settings, getConvictCell(object));
+  if (!current) parent.needsUpdate = true;
+  return copy;
+}
+const MATERIAL_TYPES = {
+  basic: "MeshBasicMaterial",
+  standard: "MeshStandardMaterial",
+  physical: "MeshPhysicalMaterial",
+  toon: "MeshToonMaterial",
+  lambert: "MeshLambertMaterial",
+  phong: "MeshPhongMaterial",
+  normal: "MeshNormalMaterial",
+  matcap: "MeshMatcapMaterial",
+  depth: "MeshDepthMaterial",
+  points: "PointsMaterial",
+  line: "LineBasicMaterial",
+  sprite: "SpriteMaterial"
+};
+const MATERIAL_COPY_SKIP = /* @__PURE__ */ new Set(["uuid", "id", "type", "version", "defines", "uniforms", "vertexShader", "fragmentShader", "userData"]);
+const SHADER_MATERIAL_COPY_KEYS = /* @__PURE__ */ new Set(["side", "transparent", "opacity", "alphaTest", "blending", "depthTest", "depthWrite", "wireframe", "visible"]);
+function copyCompatibleMaterialProps(from, to) {
+  if (!from || !to) return;
+  to.name = from.name;
+  for (const key of Object.keys(to)) {
+    if (key.startsWith("_") || key.startsWith("is") || MATERIAL_COPY_SKIP.has(key) || !(key in from)) continue;
+    if (to.isShaderMaterial && !SHADER_MATERIAL_COPY_KEYS.has(key)) continue;
+    const src = from[key];
+    const dst = to[key];
+    if (src === dst || src === void 0) continue;
+    if (dst && src && typeof dst.copy === "function" && dst.constructor === src.constructor && !dst.isTexture) {
+      dst.copy(src);
+    } else if (typeof dst === typeof src && (dst === null || typeof dst !== "object") || dst == null && (src == null ? void 0 : src.isTexture)) {
+      to[key] = src;
+    }
   }
-  let found = null;
-  for (const sheet of document.styleSheets) {
-    let rules;
-    try {
-      rules = sheet.cssRules;
-    } catch {
-      continue;
+}
+function swapConvictMaterial(object, material) {
+  const previous = Array.isArray(object.material) ? object.material[0] : object.material;
+  copyCompatibleMaterialProps(previous, material);
+  object.material = material;
+  retainConvictResources(object);
+  invalidateConvictCell(object);
+}
+function buildShaderMaterial(sources) {
+  const [first, second] = sources;
+  const params = { uniforms: {} };
+  const vertexShader = sources.length > 1 ? first : first == null ? void 0 : first.vertexShader;
+  const fragmentShader = sources.length > 1 ? second : first == null ? void 0 : first.fragmentShader;
+  if (typeof vertexShader === "string") params.vertexShader = vertexShader;
+  if (typeof fragmentShader === "string") params.fragmentShader = fragmentShader;
+  if (!params.vertexShader && !params.fragmentShader) return null;
+  return new THREE.ShaderMaterial(params);
+}
+function applyConvictMaterialType(object, value, declarations) {
+  const expanded = expandCSSValue(value, object, declarations);
+  if (expanded == null) return true;
+  const shader = expanded.match(/^shader\(([\s\S]*)\)$/i);
+  const className = MATERIAL_TYPES[expanded.toLowerCase()] || (/Material$/.test(expanded) ? expanded : null);
+  if (!shader && !className) return false;
+  const state = object.userData;
+  if (state._materialSource === expanded) return true;
+  state._materialSource = expanded;
+  const token = state._materialToken = (state._materialToken || 0) + 1;
+  if (className) {
+    const Ctor = THREE[className];
+    if (typeof Ctor !== "function" || !(Ctor.prototype instanceof THREE.Material)) {
+      console.warn(`--material: unknown material type "${expanded}".`);
+      return true;
     }
-    for (const rule of rules) {
-      if (!rule.selectorText) continue;
-      const selectors = rule.selectorText.split(",");
-      for (const sel of selectors) {
-        if (sel.trim().split(/\s+/).includes(selector)) {
-          found = rule;
-          break;
-        }
-      }
-      if (found) break;
+    if (!(object.material && object.material.type === className)) {
+      swapConvictMaterial(object, new Ctor());
     }
-    if (found) break;
+    return true;
   }
-  selectorRuleCache.set(selector, found);
-  return found || void 0;
+  const sources = splitTopLevelCommas(shader[1]).filter(Boolean).map((arg) => CSSValueTo3JSValue(arg, object, declarations));
+  const loading = Promise.all(sources);
+  if (sources.some((source) => source && typeof source.then === "function")) {
+    watchConvictAsset(object, "--material", loading);
+  }
+  loading.then((resolved) => {
+    if (state._materialToken !== token) return;
+    const material = buildShaderMaterial(resolved);
+    if (!material) {
+      console.warn(`--material: "${expanded}" did not resolve to shader sources.`);
+      return;
+    }
+    swapConvictMaterial(object, material);
+    paintSpecificMuse(object);
+  }).catch((err) => console.error(`Failed to build --material "${expanded}"`, err));
+  return true;
+}
+const DEFAULT_CLIP_FADE_SECONDS = 0.3;
+const MAX_MIXER_DELTA = 0.1;
+function findAnimationClip(clips, name) {
+  const lower = name.toLowerCase();
+  return clips.find((clip) => clip.name === name) || clips.find((clip) => clip.name.toLowerCase() === lower) || null;
+}
+function unmountConvictModel(object) {
+  const state = object.userData;
+  const cell = getConvictCell(object);
+  (state._modelConvicts || []).forEach((node) => {
+    if (cell && cell.getConvictByDom(node.userData.domEl) === node) cell.removeConvict(node);
+  });
+  if (state._mixer) {
+    state._mixer.stopAllAction();
+    state._mixer.uncacheRoot(state._model);
+    cell == null ? void 0 : cell._mixers.delete(state._mixer);
+  }
+  if (state._model) object.remove(state._model);
+  state._model = null;
+  state._modelConvicts = [];
+  state._mixer = null;
+  state._clipActions = /* @__PURE__ */ new Map();
+}
+function mountConvictSVG(object, src) {
+  const token = object.userData._svgToken = (object.userData._svgToken || 0) + 1;
+  if (!src) {
+    object.svg = null;
+    return;
+  }
+  const resolving = resolveModelAsset(object, src, null);
+  if (resolving && typeof resolving.then === "function") {
+    watchConvictAsset(object, "src", resolving);
+  }
+  Promise.resolve(resolving).then((data) => {
+    if (object.userData._svgToken !== token) return;
+    if (!(data == null ? void 0 : data.paths)) {
+      console.warn(`<svgshape src="${src}"> did not resolve to SVG data.`);
+      return;
+    }
+    object.svg = data;
+  }).catch((err) => console.error(`Failed to load <svgshape src="${src}">`, err));
+}
+function resolveModelAsset(object, value, declarations) {
+  if (/\/|\.(gltf|glb|fbx|obj|svg)$/i.test(value)) {
+    return getAsset(value, value, getConvictCell(object));
+  }
+  return CSSValueTo3JSValue(value, object, declarations);
+}
+function mountConvictModel(object, value, declarations) {
+  const state = object.userData;
+  if (state._modelSource === value) return;
+  state._modelSource = value;
+  const token = state._modelToken = (state._modelToken || 0) + 1;
+  if (!value || value === "none") {
+    unmountConvictModel(object);
+    return;
+  }
+  const resolving = resolveModelAsset(object, value, declarations);
+  if (resolving && typeof resolving.then === "function") {
+    watchConvictAsset(object, "--model", resolving);
+  }
+  Promise.resolve(resolving).then((asset) => {
+    if (state._modelToken !== token) return;
+    if (!(asset == null ? void 0 : asset.isObject3D)) {
+      console.warn(`--model: "${value}" did not resolve to an Object3D asset.`);
+      return;
+    }
+    return importAddon("utils/SkeletonUtils.js").then(({ clone }) => {
+      if (state._modelToken !== token) return;
+      unmountConvictModel(object);
+      const cell = getConvictCell(object);
+      const model = clone(asset);
+      model.userData.convictModel = true;
+      object.add(model);
+      invalidateConvictCell(object);
+      state._model = model;
+      state._modelConvicts = cell ? cell._adoptModelTree(object, model) : [];
+      retainConvictResources(object);
+      if (model.animations.length) {
+        const mixer = new THREE.AnimationMixer(model);
+        mixer.addEventListener("finished", (evt) => {
+          object.dispatchEvent({
+            type: "ClipFinished",
+            target: object,
+            detail: { clip: evt.action.getClip().name }
+          });
+        });
+        state._mixer = mixer;
+        cell == null ? void 0 : cell._mixers.add(mixer);
+        applyConvictClips(object);
+      }
+      object.dispatchEvent({ type: "ModelMounted", target: object, detail: { model } });
+    });
+  }).catch((err) => console.error(`Failed to mount --model "${value}"`, err));
+}
+const INSTANCE_CAPACITY_STEP = 16;
+const instancerInverse = new THREE.Matrix4();
+const instancerMatrix = new THREE.Matrix4();
+const instancerCurrent = new THREE.Matrix4();
+const instanceBatches = /* @__PURE__ */ new WeakMap();
+const INSTANCE_MATERIAL_SKIP_KEYS = /* @__PURE__ */ new Set(["uuid", "id", "name", "version", "color", "userData"]);
+function instanceMaterialKey(material) {
+  if (material.isShaderMaterial) return material.uuid;
+  const parts = [material.type];
+  Object.keys(material).forEach((key) => {
+    if (key[0] === "_" || INSTANCE_MATERIAL_SKIP_KEYS.has(key)) return;
+    const value = material[key];
+    if (value == null || typeof value !== "object") {
+      if (typeof value !== "function") parts.push(`${key}=${value}`);
+    } else if (value.isColor) {
+      parts.push(`${key}=${value.getHexString()}`);
+    } else if (value.isTexture) {
+      parts.push(`${key}=${value.uuid}`);
+    } else if (typeof value.toArray === "function") {
+      parts.push(`${key}=${value.toArray().join(",")}`);
+    }
+  });
+  return parts.join("|");
+}
+function markInstancerDirty(object) {
+  for (let node = object; node; node = node.parent) {
+    if (node.userData && node.userData._instancer) node.userData._instancer.dirty = true;
+  }
+}
+class ConvictInstancer {
+  constructor(owner) {
+    this.owner = owner;
+    this.batches = /* @__PURE__ */ new Map();
+    this.members = /* @__PURE__ */ new Set();
+    this.dirty = true;
+  }
+  collectMembers() {
+    const groups = /* @__PURE__ */ new Map();
+    const visit = (node) => {
+      node.children.forEach((child) => {
+        if (!child.visible || child.userData._instanceBatch || child.userData._instancer) return;
+        const material = child.material;
+        if (child.isMesh && !child.isInstancedMesh && !child.isSkinnedMesh && child.userData.domEl && (material == null ? void 0 : material.isMaterial)) {
+          const key = `${child.geometry.uuid}:${instanceMaterialKey(material)}`;
+          let list = groups.get(key);
+          if (!list) groups.set(key, list = []);
+          list.push(child);
+        }
+        visit(child);
+      });
+    };
+    visit(this.owner);
+    return groups;
+  }
+  update() {
+    const owner = this.owner;
+    owner.updateWorldMatrix(true, true);
+    instancerInverse.copy(owner.matrixWorld).invert();
+    if (!this.dirty) {
+      let changed = false;
+      this.batches.forEach((batch) => {
+        if (this.writeBatchMatrices(batch)) changed = true;
+      });
+      return changed;
+    }
+    this.dirty = false;
+    this.rebuild();
+    return true;
+  }
+  writeBatchMatrices(batch) {
+    const mesh = batch.mesh;
+    let changed = false;
+    batch.list.forEach((member, i) => {
+      if (!member.visible || member.material !== batch.materials[i] || member.geometry !== mesh.geometry) this.dirty = true;
+      instancerMatrix.multiplyMatrices(instancerInverse, member.matrixWorld);
+      mesh.getMatrixAt(i, instancerCurrent);
+      if (instancerCurrent.equals(instancerMatrix)) return;
+      mesh.setMatrixAt(i, instancerMatrix);
+      changed = true;
+    });
+    if (changed) mesh.instanceMatrix.needsUpdate = true;
+    return changed;
+  }
+  rebuild() {
+    const groups = this.collectMembers();
+    const members = /* @__PURE__ */ new Set();
+    groups.forEach((list, key) => {
+      let batch = this.batches.get(key);
+      if (!batch || batch.capacity < list.length) {
+        if (batch) this.disposeBatch(batch);
+        batch = this.createBatch(list[0], Math.ceil(list.length / INSTANCE_CAPACITY_STEP) * INSTANCE_CAPACITY_STEP);
+        this.batches.set(key, batch);
+      }
+      this.syncBatchMaterial(batch, list[0]);
+      batch.list = list;
+      batch.materials = list.map((member) => member.material);
+      const mesh = batch.mesh;
+      list.forEach((member, i) => {
+        members.add(member);
+        member.layers.disable(0);
+        instancerMatrix.multiplyMatrices(instancerInverse, member.matrixWorld);
+        mesh.setMatrixAt(i, instancerMatrix);
+        if (member.material.color) mesh.setColorAt(i, member.material.color);
+      });
+      mesh.count = list.length;
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    });
+    this.batches.forEach((batch, key) => {
+      if (groups.has(key)) return;
+      this.disposeBatch(batch);
+      this.batches.delete(key);
+    });
+    this.members.forEach((member) => {
+      if (!members.has(member)) member.layers.enable(0);
+    });
+    this.members = members;
+  }
+  createBatch(source, capacity) {
+    const mesh = new THREE.InstancedMesh(source.geometry, new THREE.MeshBasicMaterial(), capacity);
+    mesh.frustumCulled = false;
+    mesh.userData._instanceBatch = true;
+    this.owner.add(mesh);
+    const batch = { mesh, capacity, list: [], materials: [], source: null, version: -1 };
+    instanceBatches.set(mesh, batch);
+    return batch;
+  }
+  syncBatchMaterial(batch, member) {
+    const material = member.material;
+    const mesh = batch.mesh;
+    mesh.castShadow = member.castShadow;
+    mesh.receiveShadow = member.receiveShadow;
+    if (batch.source === material && batch.version === material.version) return;
+    mesh.material.dispose();
+    mesh.material = material.clone();
+    if (mesh.material.color) mesh.material.color.set(16777215);
+    batch.source = material;
+    batch.version = material.version;
+  }
+  disposeBatch(batch) {
+    batch.mesh.removeFromParent();
+    batch.mesh.material.dispose();
+    batch.mesh.dispose();
+  }
+  release() {
+    this.batches.forEach((batch) => this.disposeBatch(batch));
+    this.batches.clear();
+    this.members.forEach((member) => member.layers.enable(0));
+    this.members.clear();
+  }
+}
+function setConvictInstancing(object, value) {
+  const mode = String(value || "none").trim().toLowerCase();
+  if (mode !== "auto" && mode !== "none") {
+    console.warn(`--instancing: "${value}" is not supported (use auto or none).`);
+    return;
+  }
+  const cell = getConvictCell(object);
+  const current = object.userData._instancer;
+  if (mode === "auto" && !current) {
+    const instancer = object.userData._instancer = new ConvictInstancer(object);
+    cell == null ? void 0 : cell._instancers.add(instancer);
+  } else if (mode === "none" && current) {
+    current.release();
+    cell == null ? void 0 : cell._instancers.delete(current);
+    delete object.userData._instancer;
+  }
+}
+function applyConvictClips(object) {
+  const state = object.userData;
+  const mixer = state._mixer;
+  if (!mixer) return;
+  const fade = object.transition ? object.transition.duration / 1e3 : DEFAULT_CLIP_FADE_SECONDS;
+  const previous = state._clipActions || /* @__PURE__ */ new Map();
+  const next = /* @__PURE__ */ new Map();
+  for (const cfg of state._clipConfigs || []) {
+    const clip = findAnimationClip(state._model.animations, cfg.name);
+    if (!clip) {
+      console.warn(`Clip "${cfg.name}" not found on`, object);
+      continue;
+    }
+    const action = mixer.clipAction(clip);
+    const key = JSON.stringify(cfg);
+    const prev = previous.get(clip.name);
+    const alternate = cfg.direction.startsWith("alternate");
+    const reverse = cfg.direction === "reverse" || cfg.direction === "alternate-reverse";
+    action.setLoop(alternate ? THREE.LoopPingPong : THREE.LoopRepeat, cfg.count);
+    action.clampWhenFinished = cfg.fill === "forwards" || cfg.fill === "both";
+    action.timeScale = (cfg.duration ? clip.duration / (cfg.duration / 1e3) : 1) * (reverse ? -1 : 1);
+    if (!prev || prev.key !== key) {
+      action.reset();
+      if (reverse) action.time = clip.duration;
+      action.startAt(mixer.time + cfg.delay / 1e3);
+      action.play();
+      if (fade > 0 && previous.size) action.fadeIn(fade);
+    }
+    action.paused = cfg.paused;
+    next.set(clip.name, { action, key });
+  }
+  for (const [name, entry] of previous) {
+    if (next.has(name)) continue;
+    if (fade > 0) {
+      entry.action.fadeOut(fade);
+    } else {
+      entry.action.stop();
+    }
+  }
+  state._clipActions = next;
+}
+function extractColorInterpolationSpace(parts) {
+  const idx = parts.indexOf("in");
+  if (idx !== -1 && COLOR_INTERPOLATION_SPACES.has(parts[idx + 1])) {
+    return parts.splice(idx, 2)[1];
+  }
+  return "srgb";
+}
+function parseAnimationCSS(value) {
+  if (!value) return null;
+  const lower = value.trim().toLowerCase();
+  if (!lower || lower === "none") return null;
+  const parts = lower.split(/\s+/).filter(Boolean);
+  if (!parts.length) return null;
+  const colorSpace = extractColorInterpolationSpace(parts);
+  const nameToken = parts.shift();
+  if (!nameToken) return null;
+  let durationMs = 1e3;
+  let timingFun = "linear";
+  let iterationCount = 1;
+  if (parts.length) {
+    const timeToken = parts[0];
+    if (/\d/.test(timeToken)) {
+      parts.shift();
+      if (timeToken.endsWith("ms")) {
+        durationMs = parseFloat(timeToken);
+      } else if (timeToken.endsWith("s")) {
+        durationMs = parseFloat(timeToken) * 1e3;
+      } else {
+        durationMs = parseFloat(timeToken);
+      }
+    }
+  }
+  const infIndex = parts.findIndex((t) => t === "infinite" || t === "infinity");
+  if (infIndex !== -1) {
+    iterationCount = "infinite";
+    parts.splice(infIndex, 1);
+  } else if (parts.length) {
+    const maybeCount = parseInt(parts[parts.length - 1], 10);
+    if (Number.isFinite(maybeCount) && maybeCount > 0) {
+      iterationCount = maybeCount;
+      parts.pop();
+    }
+  }
+  if (parts.length) {
+    timingFun = parts.join(" ");
+  }
+  return {
+    name: nameToken,
+    duration: durationMs,
+    iteration: { count: iterationCount },
+    timing: { fun: timingFun },
+    colorSpace
+  };
+}
+function parseTransitionCSS(value) {
+  if (!value) return null;
+  const lower = value.trim().toLowerCase();
+  if (!lower || lower === "none") return null;
+  const parts = lower.split(/\s+/).filter(Boolean);
+  if (!parts.length) return null;
+  const colorSpace = extractColorInterpolationSpace(parts);
+  const timeToken = parts.shift();
+  let durationMs;
+  if (timeToken.endsWith("ms")) {
+    durationMs = parseFloat(timeToken);
+  } else if (timeToken.endsWith("s")) {
+    durationMs = parseFloat(timeToken) * 1e3;
+  } else {
+    durationMs = parseFloat(timeToken);
+  }
+  if (!Number.isFinite(durationMs) || durationMs <= 0) {
+    return null;
+  }
+  const timingFun = parts.join(" ") || "linear";
+  return {
+    duration: durationMs,
+    timing: { fun: timingFun },
+    colorSpace
+  };
+}
+function parseClipTime(token) {
+  if (token.endsWith("ms")) return parseFloat(token);
+  if (token.endsWith("s")) return parseFloat(token) * 1e3;
+  return NaN;
+}
+function parseClipCSS(value) {
+  if (!value) return [];
+  const text = value.trim();
+  if (!text || text.toLowerCase() === "none") return [];
+  return text.split(",").map((entry) => {
+    const parts = entry.trim().split(/\s+/).filter(Boolean);
+    const cfg = {
+      name: parts.shift() || "",
+      duration: null,
+      delay: 0,
+      count: 1,
+      direction: "normal",
+      fill: "none",
+      paused: false
+    };
+    for (const part of parts) {
+      const token = part.toLowerCase();
+      const time = parseClipTime(token);
+      if (Number.isFinite(time)) {
+        if (cfg.duration == null) cfg.duration = time;
+        else cfg.delay = time;
+      } else if (token === "infinite" || token === "infinity") {
+        cfg.count = Infinity;
+      } else if (/^\d+$/.test(token)) {
+        cfg.count = parseInt(token, 10);
+      } else if (token === "normal" || token === "reverse" || token === "alternate" || token === "alternate-reverse") {
+        cfg.direction = token;
+      } else if (token === "forwards" || token === "backwards" || token === "both") {
+        cfg.fill = token;
+      } else if (token === "paused" || token === "running") {
+        cfg.paused = token === "paused";
+      }
+    }
+    return cfg;
+  }).filter((cfg) => cfg.name);
+}
+const SELECTOR_TOKEN_REGEX = /\s*([>+~])\s*|(\s+)|(\*|[A-Za-z][\w-]*)|#((?:\\.|[\w-])+)|\.((?:\\.|[\w-])+)|\[\s*([\w-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*([iIsS])?\s*)?\]|(::?)([\w-]+)(\()?/y;
+const STRUCTURAL_PSEUDOS = /* @__PURE__ */ new Set(["first-child", "last-child", "only-child", "first-of-type", "last-of-type", "only-of-type", "empty"]);
+const INTERACTIVE_PSEUDOS = [":hover", ":focus", ":active"];
+function splitSelectorList(selectorText) {
+  const out = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < selectorText.length; i++) {
+    const ch = selectorText[i];
+    if (ch === "(" || ch === "[") depth++;
+    else if (ch === ")" || ch === "]") depth--;
+    else if (ch === "," && depth === 0) {
+      out.push(selectorText.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  out.push(selectorText.slice(start).trim());
+  return out.filter(Boolean);
+}
+function createCompound() {
+  return {
+    tag: "",
+    ids: [],
+    classes: [],
+    attrs: [],
+    pseudos: [],
+    structural: [],
+    functional: [],
+    pseudoElement: false,
+    combinator: null
+  };
+}
+function findClosingParen(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === "(") depth++;
+    else if (text[i] === ")" && --depth === 0) return i;
+  }
+  return -1;
+}
+function parseNthExpression(expr) {
+  const text = expr.replace(/\s+/g, "").toLowerCase();
+  if (text === "odd") return { a: 2, b: 1 };
+  if (text === "even") return { a: 2, b: 0 };
+  const m = text.match(/^([+-]?\d*)n([+-]\d+)?$/);
+  if (m) {
+    const a = m[1] === "" || m[1] === "+" ? 1 : m[1] === "-" ? -1 : parseInt(m[1], 10);
+    return { a, b: m[2] ? parseInt(m[2], 10) : 0 };
+  }
+  const b = parseInt(text, 10);
+  return Number.isFinite(b) ? { a: 0, b } : null;
+}
+function computeSelectorSpecificity(compounds) {
+  const specificity = [0, 0, 0, 0];
+  for (const compound of compounds) {
+    specificity[1] += compound.ids.length;
+    specificity[2] += compound.classes.length + compound.attrs.length + compound.pseudos.length + compound.structural.length;
+    specificity[3] += (compound.tag ? 1 : 0) + (compound.pseudoElement ? 1 : 0);
+    for (const fn of compound.functional) {
+      if (fn.name === "where") continue;
+      if (fn.name === "nth-child" || fn.name === "nth-last-child") {
+        specificity[2] += 1;
+        continue;
+      }
+      let max = [0, 0, 0, 0];
+      for (const arg of fn.args) {
+        if (compareSpecificity(arg.specificity, max) > 0) max = arg.specificity;
+      }
+      for (let i = 0; i < specificity.length; i++) specificity[i] += max[i];
+    }
+  }
+  return specificity;
+}
+function parseSelector(selectorText) {
+  const text = String(selectorText || "").trim();
+  if (!text) return null;
+  const compounds = [];
+  let current = createCompound();
+  let pos = 0;
+  while (pos < text.length) {
+    SELECTOR_TOKEN_REGEX.lastIndex = pos;
+    const m = SELECTOR_TOKEN_REGEX.exec(text);
+    if (!m || m[0].length === 0) return null;
+    pos = SELECTOR_TOKEN_REGEX.lastIndex;
+    if (m[1] || m[2]) {
+      compounds.push(current);
+      current = createCompound();
+      current.combinator = m[1] || " ";
+    } else if (m[3]) {
+      current.tag = m[3] === "*" ? "" : m[3].toUpperCase();
+    } else if (m[4]) {
+      current.ids.push(m[4].replace(/\\(.)/g, "$1"));
+    } else if (m[5]) {
+      current.classes.push(m[5].replace(/\\(.)/g, "$1"));
+    } else if (m[6]) {
+      current.attrs.push({
+        name: m[6].toLowerCase(),
+        op: m[7] || null,
+        value: m[8] ?? m[9] ?? m[10] ?? null,
+        insensitive: !!m[11] && m[11].toLowerCase() === "i"
+      });
+    } else if (m[12] === "::") {
+      if (m[14]) return null;
+      current.pseudoElement = true;
+    } else {
+      const name = m[13].toLowerCase();
+      if (m[14]) {
+        const close = findClosingParen(text, pos - 1);
+        if (close < 0) return null;
+        const arg = text.slice(pos, close);
+        pos = close + 1;
+        if (name === "not" || name === "is" || name === "where" || name === "matches") {
+          const args = splitSelectorList(arg).map(parseSelector);
+          if (!args.length || args.includes(null)) return null;
+          current.functional.push({ name: name === "matches" ? "is" : name, args });
+        } else if (name === "nth-child" || name === "nth-last-child") {
+          const nth = parseNthExpression(arg);
+          if (!nth) return null;
+          current.functional.push({ name, nth, args: [] });
+        } else {
+          return null;
+        }
+      } else if (STRUCTURAL_PSEUDOS.has(name)) {
+        current.structural.push(name);
+      } else {
+        current.pseudos.push(`:${name}`);
+      }
+    }
+  }
+  compounds.push(current);
+  return { text, compounds, specificity: computeSelectorSpecificity(compounds) };
+}
+function compareSpecificity(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+function getSelectorParent(element) {
+  if (!element || element.tagName === "CELL") return null;
+  return element.parentElement || null;
+}
+function getPreviousSelectorSibling(element) {
+  let sibling = element.previousElementSibling;
+  while (sibling && isCellChromeNode(sibling)) sibling = sibling.previousElementSibling;
+  return sibling;
+}
+function getSelectorSiblings(element) {
+  const parent = element.parentElement;
+  if (!parent) return [element];
+  return Array.from(parent.children).filter((child) => !isCellChromeNode(child));
+}
+function matchNth(nth, position) {
+  const { a, b } = nth;
+  if (a === 0) return position === b;
+  const n = (position - b) / a;
+  return Number.isInteger(n) && n >= 0;
+}
+function matchAttribute(attr, element) {
+  if (typeof element.getAttribute !== "function") return false;
+  let actual = element.getAttribute(attr.name);
+  if (actual == null) return false;
+  if (!attr.op) return true;
+  let expected = attr.value ?? "";
+  if (attr.insensitive) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (attr.op) {
+    case "=":
+      return actual === expected;
+    case "~=":
+      return actual.split(/\s+/).includes(expected);
+    case "|=":
+      return actual === expected || actual.startsWith(`${expected}-`);
+    case "^=":
+      return !!expected && actual.startsWith(expected);
+    case "$=":
+      return !!expected && actual.endsWith(expected);
+    case "*=":
+      return !!expected && actual.includes(expected);
+  }
+  return false;
+}
+function matchCompound(compound, element, ignorePseudos = false, subject = null) {
+  var _a;
+  if (!element || compound.pseudoElement) return false;
+  if (compound.tag && String(element.tagName).toUpperCase() !== compound.tag) return false;
+  const convict = subject || element.convict;
+  const id = convict ? convict.userData.domId : element.id;
+  for (const expectedId of compound.ids) {
+    if (id !== expectedId) return false;
+  }
+  if (compound.classes.length) {
+    const classes = convict ? getObjectClassSelectors(convict) : Array.from(element.classList || []);
+    for (const cls of compound.classes) {
+      if (!classes.includes(cls)) return false;
+    }
+  }
+  for (const attr of compound.attrs) {
+    if (!matchAttribute(attr, element)) return false;
+  }
+  if (compound.structural.length || compound.functional.some((fn) => fn.nth)) {
+    const siblings = getSelectorSiblings(element);
+    const index = siblings.indexOf(element);
+    const sameType = siblings.filter((s) => s.tagName === element.tagName);
+    const typeIndex = sameType.indexOf(element);
+    for (const name of compound.structural) {
+      if (name === "first-child" && index !== 0) return false;
+      if (name === "last-child" && index !== siblings.length - 1) return false;
+      if (name === "only-child" && siblings.length !== 1) return false;
+      if (name === "first-of-type" && typeIndex !== 0) return false;
+      if (name === "last-of-type" && typeIndex !== sameType.length - 1) return false;
+      if (name === "only-of-type" && sameType.length !== 1) return false;
+      if (name === "empty" && element.children.length !== 0) return false;
+    }
+    for (const fn of compound.functional) {
+      if (fn.name === "nth-child" && !matchNth(fn.nth, index + 1)) return false;
+      if (fn.name === "nth-last-child" && !matchNth(fn.nth, siblings.length - index)) return false;
+    }
+  }
+  for (const fn of compound.functional) {
+    if (fn.nth) continue;
+    const anyMatch = fn.args.some((arg) => matchComplexSelector(arg.compounds, arg.compounds.length - 1, element, ignorePseudos, subject));
+    if (fn.name === "not" ? anyMatch : !anyMatch) return false;
+  }
+  if (!ignorePseudos && compound.pseudos.length) {
+    const extra = ((_a = convict == null ? void 0 : convict.userData) == null ? void 0 : _a.extraParams) || [];
+    for (const pseudo of compound.pseudos) {
+      if (!extra.includes(pseudo)) return false;
+    }
+  }
+  return true;
+}
+function matchComplexSelector(compounds, index, element, ignorePseudos = false, subject = null) {
+  if (!matchCompound(compounds[index], element, ignorePseudos, subject)) return false;
+  if (index === 0) return true;
+  switch (compounds[index].combinator) {
+    case ">": {
+      const parent = getSelectorParent(element);
+      return !!parent && matchComplexSelector(compounds, index - 1, parent, ignorePseudos);
+    }
+    case "+": {
+      const sibling = getPreviousSelectorSibling(element);
+      return !!sibling && matchComplexSelector(compounds, index - 1, sibling, ignorePseudos);
+    }
+    case "~": {
+      for (let sibling = getPreviousSelectorSibling(element); sibling; sibling = getPreviousSelectorSibling(sibling)) {
+        if (matchComplexSelector(compounds, index - 1, sibling, ignorePseudos)) return true;
+      }
+      return false;
+    }
+    default: {
+      for (let parent = getSelectorParent(element); parent; parent = getSelectorParent(parent)) {
+        if (matchComplexSelector(compounds, index - 1, parent, ignorePseudos)) return true;
+      }
+      return false;
+    }
+  }
+}
+function matchSelector(parsed, object, ignorePseudos = false) {
+  var _a;
+  const domEl = (_a = object == null ? void 0 : object.userData) == null ? void 0 : _a.domEl;
+  if (!domEl) return false;
+  return matchComplexSelector(parsed.compounds, parsed.compounds.length - 1, domEl, ignorePseudos, object);
+}
+function ruleDeclaresCustomProps(style) {
+  for (let i = 0; i < style.length; i++) {
+    if (style[i].startsWith("--")) return true;
+  }
+  return false;
+}
+function collectSelectorAttributes(compounds, out) {
+  compounds.forEach((compound) => {
+    compound.attrs.forEach((attr) => out.add(attr.name));
+    compound.functional.forEach((fn) => {
+      (fn.args || []).forEach((arg) => collectSelectorAttributes(arg.compounds, out));
+    });
+  });
+  return out;
+}
+function getCascadeRuleIndex(cell = null) {
+  const cache = getStyleCache(cell);
+  const styleKey = getStyleCacheKey(cell);
+  if (cache.cascadeKey === styleKey) {
+    return cache.cascadeIndex;
+  }
+  const index = [];
+  const attributes = /* @__PURE__ */ new Set();
+  let hasAncestorState = false;
+  let hasSiblingState = false;
+  let order = 0;
+  forEachCellStyleRule(cell, (rule) => {
+    if (!rule.selectorText || !rule.style || !ruleDeclaresCustomProps(rule.style)) return;
+    const selectors = splitSelectorList(rule.selectorText).map(parseSelector).filter(Boolean);
+    if (!selectors.length) return;
+    selectors.forEach((sel) => {
+      collectSelectorAttributes(sel.compounds, attributes);
+      sel.compounds.forEach((compound, i) => {
+        if (i === sel.compounds.length - 1 || !compound.pseudos.length) return;
+        hasAncestorState = true;
+        if (sel.compounds.slice(i + 1).some((next) => next.combinator === "+" || next.combinator === "~")) {
+          hasSiblingState = true;
+        }
+      });
+    });
+    index.push({ rule, selectors, order: order++ });
+  });
+  cache.cascadeIndex = index;
+  cache.cascadeHasAncestorState = hasAncestorState;
+  cache.cascadeHasSiblingState = hasSiblingState;
+  cache.cascadeAttributes = [...attributes];
+  cache.cascadeKey = styleKey;
+  return index;
+}
+function hasInteractivePseudoRule(object) {
+  for (const entry of getCascadeRuleIndex(getConvictCell(object))) {
+    for (const sel of entry.selectors) {
+      const subject = sel.compounds[sel.compounds.length - 1];
+      if (!subject.pseudos.some((p) => INTERACTIVE_PSEUDOS.includes(p))) continue;
+      if (matchSelector(sel, object, true)) return true;
+    }
+  }
+  return false;
+}
+function createDeclarationBlock(winners) {
+  const props = [...winners.keys()].sort((a, b) => {
+    const rank = (p) => p === "--transition" ? 0 : p === "--animation" ? 1 : p === "--material" ? 2 : 3;
+    return rank(a) - rank(b);
+  });
+  const style = Object.assign(props.slice(), {
+    getPropertyValue(prop) {
+      const entry = winners.get(prop);
+      return entry ? entry.value : "";
+    },
+    getPropertyPriority(prop) {
+      const entry = winners.get(prop);
+      return (entry == null ? void 0 : entry.important) ? "important" : "";
+    }
+  });
+  return { style, selectorText: null };
+}
+function resolveCascade(object, onlyProps = null) {
+  var _a;
+  const winners = /* @__PURE__ */ new Map();
+  const consider = (style, specificity, order) => {
+    for (let i = 0; i < style.length; i++) {
+      const prop = style[i];
+      if (!prop.startsWith("--")) continue;
+      if (onlyProps && !onlyProps.has(prop)) continue;
+      const important = style.getPropertyPriority(prop) === "important";
+      const prev = winners.get(prop);
+      if (prev) {
+        if (prev.important !== important) {
+          if (prev.important) continue;
+        } else {
+          const cmp = compareSpecificity(specificity, prev.specificity);
+          if (cmp < 0 || cmp === 0 && order < prev.order) continue;
+        }
+      }
+      winners.set(prop, {
+        value: style.getPropertyValue(prop),
+        important,
+        specificity,
+        order
+      });
+    }
+  };
+  for (const entry of getCascadeRuleIndex(getConvictCell(object))) {
+    let best = null;
+    for (const sel of entry.selectors) {
+      if (!matchSelector(sel, object)) continue;
+      if (!best || compareSpecificity(sel.specificity, best) > 0) best = sel.specificity;
+    }
+    if (best) consider(entry.rule.style, best, entry.order);
+  }
+  const inline = (_a = object.userData.domEl) == null ? void 0 : _a.style;
+  if (inline) consider(inline, [1, 0, 0, 0], Infinity);
+  const block = createDeclarationBlock(winners);
+  block.onlyProps = onlyProps;
+  return block;
+}
+function getInlineCustomProps(domEl) {
+  const props = /* @__PURE__ */ new Set();
+  const style = domEl == null ? void 0 : domEl.style;
+  if (!style) return props;
+  for (let i = 0; i < style.length; i++) {
+    if (style[i].startsWith("--")) props.add(style[i]);
+  }
+  return props;
 }
 function deep_searchParms(object, path) {
   const key = path[path.length - 1];
@@ -745,9 +2353,451 @@ function deep_searchParms(object, path) {
   }, object);
   return { parent, key };
 }
-function CSSValueTo3JSValue(value, __object = null) {
-  const normalizedValue = typeof value === "string" ? value.trim() : value;
+const CSS_MATH_FUNCTION_REGEX = /(?<![\w-])(calc|min|max|clamp|abs|sign|sin|cos|tan|sqrt|pow|round|mod)\(/i;
+const CSS_ANGLE_REGEX = /(?<![\w#.-])([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|grad|rad|turn)(?![\w-])/gi;
+const CSS_MATH_TOKEN_REGEX = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)|([a-z][\w-]*)\(|([a-z][\w-]*)|([-+*/(),]))/iy;
+const CSS_MATH_CONSTANTS = { pi: Math.PI, e: Math.E, infinity: Infinity, "-infinity": -Infinity };
+const CSS_MATH_FUNCTIONS = {
+  calc: (v) => v,
+  min: Math.min,
+  max: Math.max,
+  clamp: (lo, v, hi) => Math.min(Math.max(v, lo), hi),
+  abs: Math.abs,
+  sign: Math.sign,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+  round: (v, step = 1) => Math.round(v / step) * step,
+  mod: (a, b) => a - b * Math.floor(a / b)
+};
+function toCSSNumber(value, unit) {
+  switch ((unit || "").toLowerCase()) {
+    case "deg":
+      return value * Math.PI / 180;
+    case "grad":
+      return value * Math.PI / 200;
+    case "turn":
+      return value * Math.PI * 2;
+    case "%":
+      return value / 100;
+    default:
+      return value;
+  }
+}
+function tokenizeCSSMath(text) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    CSS_MATH_TOKEN_REGEX.lastIndex = pos;
+    const m = CSS_MATH_TOKEN_REGEX.exec(text);
+    if (!m) {
+      if (/^\s*$/.test(text.slice(pos))) break;
+      return null;
+    }
+    pos = CSS_MATH_TOKEN_REGEX.lastIndex;
+    if (m[1] !== void 0) tokens.push({ type: "num", value: toCSSNumber(parseFloat(m[1]), m[2]) });
+    else if (m[3]) tokens.push({ type: "fn", value: m[3].toLowerCase() });
+    else if (m[4]) tokens.push({ type: "ident", value: m[4].toLowerCase() });
+    else tokens.push({ type: "op", value: m[5] });
+  }
+  return tokens;
+}
+function evaluateCSSMath(text) {
+  const tokens = tokenizeCSSMath(text);
+  if (!tokens) return NaN;
+  let i = 0;
+  const isOp = (v) => !!tokens[i] && tokens[i].type === "op" && tokens[i].value === v;
+  function parseArgs() {
+    const args = [parseSum()];
+    while (isOp(",")) {
+      i++;
+      args.push(parseSum());
+    }
+    if (isOp(")")) i++;
+    return args;
+  }
+  function parsePrimary() {
+    const tok = tokens[i++];
+    if (!tok) return NaN;
+    if (tok.type === "num") return tok.value;
+    if (tok.type === "ident") return CSS_MATH_CONSTANTS[tok.value] ?? NaN;
+    if (tok.type === "fn") {
+      const fn = CSS_MATH_FUNCTIONS[tok.value];
+      const args = parseArgs();
+      return fn ? fn(...args) : NaN;
+    }
+    if (tok.value === "(") {
+      const v = parseSum();
+      if (isOp(")")) i++;
+      return v;
+    }
+    return NaN;
+  }
+  function parseUnary() {
+    if (isOp("-")) {
+      i++;
+      return -parseUnary();
+    }
+    if (isOp("+")) {
+      i++;
+      return parseUnary();
+    }
+    return parsePrimary();
+  }
+  function parseProduct() {
+    let v = parseUnary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[i++].value;
+      const rhs = parseUnary();
+      v = op === "*" ? v * rhs : v / rhs;
+    }
+    return v;
+  }
+  function parseSum() {
+    let v = parseProduct();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[i++].value;
+      const rhs = parseProduct();
+      v = op === "+" ? v + rhs : v - rhs;
+    }
+    return v;
+  }
+  const result = parseSum();
+  return i === tokens.length ? result : NaN;
+}
+function evaluateCSSMathFunctions(text) {
+  let out = text;
+  for (let guard = 0; guard < 64; guard++) {
+    const m = CSS_MATH_FUNCTION_REGEX.exec(out);
+    if (!m) break;
+    const close = findClosingParen(out, m.index + m[0].length - 1);
+    if (close < 0) break;
+    const value = evaluateCSSMath(out.slice(m.index, close + 1));
+    out = out.slice(0, m.index) + String(value) + out.slice(close + 1);
+  }
+  return out;
+}
+function findTopLevelComma(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "(") depth++;
+    else if (text[i] === ")") depth--;
+    else if (text[i] === "," && depth === 0) return i;
+  }
+  return -1;
+}
+let paintCascadeCache = null;
+function resolveCascadeCached(object, key = object) {
+  if (!paintCascadeCache) return resolveCascade(object);
+  let block = paintCascadeCache.get(key);
+  if (!block) {
+    block = resolveCascade(object);
+    paintCascadeCache.set(key, block);
+  }
+  return block;
+}
+function withPaintCascadeCache(fn) {
+  if (paintCascadeCache) return fn();
+  paintCascadeCache = /* @__PURE__ */ new Map();
+  try {
+    return fn();
+  } finally {
+    paintCascadeCache = null;
+  }
+}
+function getCellStyleSubject(cell) {
+  const cellElm = cell.cellElm;
+  return {
+    userData: {
+      domEl: cellElm,
+      domId: cellElm.id || "",
+      classList: Array.from(cellElm.classList || []),
+      extraParams: []
+    }
+  };
+}
+function lookupCustomProperty(name, object, declarations = null) {
+  var _a, _b;
+  const fromBlock = (block) => {
+    const v = block ? block.style.getPropertyValue(name) : "";
+    return v ? String(v).trim() : "";
+  };
+  let value = fromBlock(declarations);
+  if (value) return value;
+  for (let node = object; node; node = node.parent) {
+    if (!((_a = node.userData) == null ? void 0 : _a.domEl)) continue;
+    value = fromBlock(resolveCascadeCached(node));
+    if (value) return value;
+  }
+  const cellElm = ((_b = object == null ? void 0 : object.userData) == null ? void 0 : _b.domEl) && object.userData.domEl.closest("cell");
+  const cell = cellElm && Cell.allCells.get(cellElm);
+  if (cell) {
+    value = fromBlock(resolveCascadeCached(getCellStyleSubject(cell), cell));
+    if (value) return value;
+  }
+  if (typeof getComputedStyle !== "function") return null;
+  const hostEl = cellElm ? cellElm.parentElement : document.documentElement;
+  value = hostEl ? getComputedStyle(hostEl).getPropertyValue(name).trim() : "";
+  return value || null;
+}
+function substituteCSSVariables(text, object, declarations = null, depth = 0) {
+  if (text.indexOf("var(") < 0) return text;
+  if (depth > 16) return null;
+  let out = "";
+  let pos = 0;
+  for (; ; ) {
+    const idx = text.indexOf("var(", pos);
+    if (idx < 0 || idx > 0 && /[\w-]/.test(text[idx - 1])) {
+      if (idx < 0) {
+        out += text.slice(pos);
+        break;
+      }
+      out += text.slice(pos, idx + 4);
+      pos = idx + 4;
+      continue;
+    }
+    const close = findClosingParen(text, idx + 3);
+    if (close < 0) return null;
+    const inner = text.slice(idx + 4, close);
+    const comma = findTopLevelComma(inner);
+    const name = (comma < 0 ? inner : inner.slice(0, comma)).trim();
+    const fallback = comma < 0 ? null : inner.slice(comma + 1).trim();
+    const raw = lookupCustomProperty(name, object, declarations) ?? fallback;
+    if (raw == null) return null;
+    const resolved = substituteCSSVariables(raw, object, declarations, depth + 1);
+    if (resolved == null) return null;
+    out += text.slice(pos, idx) + resolved;
+    pos = close + 1;
+  }
+  return out;
+}
+function expandCSSValue(text, object = null, declarations = null) {
+  const substituted = substituteCSSVariables(text, object, declarations);
+  if (substituted == null) {
+    console.warn(`CSSValueTo3JSValue: unresolved var() in "${text}".`);
+    return null;
+  }
+  return evaluateCSSMathFunctions(substituted).trim();
+}
+function convertCSSAngles(text) {
+  return text.replace(CSS_ANGLE_REGEX, (_, num, unit) => String(toCSSNumber(parseFloat(num), unit)));
+}
+function splitTopLevelCommas(text) {
+  const out = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "(") depth++;
+    else if (text[i] === ")") depth--;
+    else if (text[i] === "," && depth === 0) {
+      out.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  out.push(text.slice(start).trim());
+  return out;
+}
+function parseCSSColorChannel(token, scale) {
+  const text = token.trim();
+  if (text === "none") return 0;
+  const v = parseFloat(text);
+  if (!Number.isFinite(v)) return NaN;
+  return text.endsWith("%") ? v / 100 : v / scale;
+}
+function parseOklabAxis(token) {
+  const text = token.trim();
+  if (text === "none") return 0;
+  const v = parseFloat(text);
+  return text.endsWith("%") ? v * 4e-3 : v;
+}
+function parseCSSHueDegrees(token) {
+  const m = token.trim().toLowerCase().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/);
+  if (!m) return token.trim() === "none" ? 0 : NaN;
+  return m[2] ? toCSSNumber(parseFloat(m[1]), m[2]) * 180 / Math.PI : parseFloat(m[1]);
+}
+function parseColorMix(inner, object) {
+  const parts = splitTopLevelCommas(inner);
+  if (parts.length !== 3) return null;
+  const space = parts[0].replace(/^in\s+/, "").split(/\s+/)[0];
+  if (!COLOR_INTERPOLATION_SPACES.has(space)) return null;
+  const parseStop = (text) => {
+    let m = text.match(/^([\s\S]*?)\s+([\d.]+)%$/);
+    if (m) return { color: parseCSSColor(m[1], object), percent: parseFloat(m[2]) };
+    m = text.match(/^([\d.]+)%\s+([\s\S]*)$/);
+    if (m) return { color: parseCSSColor(m[2], object), percent: parseFloat(m[1]) };
+    return { color: parseCSSColor(text, object), percent: null };
+  };
+  const a = parseStop(parts[1]);
+  const b = parseStop(parts[2]);
+  if (!a.color || !b.color) return null;
+  let pa = a.percent;
+  let pb = b.percent;
+  if (pa == null && pb == null) pa = pb = 50;
+  else if (pa == null) pa = 100 - pb;
+  else if (pb == null) pb = 100 - pa;
+  if (pa + pb <= 0) return null;
+  return lerpColor(a.color, b.color, pb / (pa + pb), space);
+}
+function parseCSSColor(text, object = null) {
+  var _a;
+  if (typeof text !== "string") return null;
+  const lower = text.trim().toLowerCase();
+  if (lower === "currentcolor") {
+    const domEl = (_a = object == null ? void 0 : object.userData) == null ? void 0 : _a.domEl;
+    if (!domEl || typeof getComputedStyle !== "function") return null;
+    return parseCSSColor(getComputedStyle(domEl).color);
+  }
+  const hex = lower.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split("").map((d) => d + d).join("");
+    return new THREE.Color().setHex(parseInt(digits.slice(0, 6), 16), THREE.SRGBColorSpace);
+  }
+  if (Object.prototype.hasOwnProperty.call(THREE.Color.NAMES, lower)) {
+    return new THREE.Color().setHex(THREE.Color.NAMES[lower], THREE.SRGBColorSpace);
+  }
+  const fn = lower.match(/^([a-z-]+)\(([\s\S]*)\)$/);
+  if (!fn) return null;
+  const [, name, inner] = fn;
+  if (name === "color-mix") return parseColorMix(inner, object);
+  const args = inner.split("/")[0].split(/[\s,]+/).filter(Boolean);
+  if (args.length < 3) return null;
+  let channels;
+  let space;
+  switch (name) {
+    case "rgb":
+    case "rgba":
+      channels = args.slice(0, 3).map((t) => parseCSSColorChannel(t, 255));
+      space = "srgb";
+      break;
+    case "hsl":
+    case "hsla": {
+      const h = parseCSSHueDegrees(args[0]) / 360;
+      channels = [h - Math.floor(h), parseCSSColorChannel(args[1], 100), parseCSSColorChannel(args[2], 100)];
+      space = "hsl";
+      break;
+    }
+    case "oklab":
+      channels = [parseCSSColorChannel(args[0], 1), parseOklabAxis(args[1]), parseOklabAxis(args[2])];
+      space = "oklab";
+      break;
+    case "oklch":
+      channels = [parseCSSColorChannel(args[0], 1), parseOklabAxis(args[1]), parseCSSHueDegrees(args[2]) * Math.PI / 180];
+      space = "oklch";
+      break;
+    default:
+      return null;
+  }
+  if (channels.some((c) => !Number.isFinite(c))) return null;
+  return colorFromSpace(channels, space);
+}
+const GEOMETRY_FUNCTIONS = {
+  box: "BoxGeometry",
+  cube: "BoxGeometry",
+  capsule: "CapsuleGeometry",
+  circle: "CircleGeometry",
+  cone: "ConeGeometry",
+  cylinder: "CylinderGeometry",
+  dodecahedron: "DodecahedronGeometry",
+  edges: "EdgesGeometry",
+  extrude: "ExtrudeGeometry",
+  icosahedron: "IcosahedronGeometry",
+  lathe: "LatheGeometry",
+  octahedron: "OctahedronGeometry",
+  plane: "PlaneGeometry",
+  polyhedron: "PolyhedronGeometry",
+  ring: "RingGeometry",
+  shape: "ShapeGeometry",
+  sphere: "SphereGeometry",
+  tetrahedron: "TetrahedronGeometry",
+  torus: "TorusGeometry",
+  torusknot: "TorusKnotGeometry",
+  tube: "TubeGeometry",
+  wireframe: "WireframeGeometry"
+};
+function splitGeometryPoints(args, size) {
+  let count = 0;
+  while (count < args.length && Array.isArray(args[count]) && args[count].length === size) count++;
+  return { points: args.slice(0, count), rest: args.slice(count) };
+}
+function shapeFromPoints(points) {
+  return new THREE.Shape(points.map(([x, y]) => new THREE.Vector2(x, y)));
+}
+const GEOMETRY_BUILDERS = {
+  EdgesGeometry: ([geometry, thresholdAngle]) => (geometry == null ? void 0 : geometry.isBufferGeometry) ? new THREE.EdgesGeometry(geometry, thresholdAngle) : null,
+  WireframeGeometry: ([geometry]) => (geometry == null ? void 0 : geometry.isBufferGeometry) ? new THREE.WireframeGeometry(geometry) : null,
+  PolyhedronGeometry: ([vertices, indices, radius, detail]) => Array.isArray(vertices) && Array.isArray(indices) ? new THREE.PolyhedronGeometry(vertices, indices, radius, detail) : null,
+  LatheGeometry: (args) => {
+    const { points, rest } = splitGeometryPoints(args, 2);
+    return points.length >= 2 ? new THREE.LatheGeometry(points.map(([x, y]) => new THREE.Vector2(x, y)), ...rest) : null;
+  },
+  ShapeGeometry: (args) => {
+    const { points, rest } = splitGeometryPoints(args, 2);
+    return points.length >= 3 ? new THREE.ShapeGeometry(shapeFromPoints(points), ...rest) : null;
+  },
+  ExtrudeGeometry: (args) => {
+    const { points, rest } = splitGeometryPoints(args, 2);
+    const [depth = 1, steps = 1, bevelEnabled = false, bevelThickness, bevelSize, bevelSegments] = rest;
+    return points.length >= 3 ? new THREE.ExtrudeGeometry(shapeFromPoints(points), { depth, steps, bevelEnabled, bevelThickness, bevelSize, bevelSegments }) : null;
+  },
+  TubeGeometry: (args) => {
+    const { points, rest } = splitGeometryPoints(args, 3);
+    if (points.length < 2) return null;
+    const curve = new THREE.CatmullRomCurve3(points.map(([x, y, z]) => new THREE.Vector3(x, y, z)));
+    return new THREE.TubeGeometry(curve, ...rest);
+  }
+};
+function parseGeometryArg(arg) {
+  if (arg === "true" || arg === "false") return arg === "true";
+  if (/^\([\s\S]*\)$/.test(arg)) {
+    const tuple = splitTopLevelCommas(arg.slice(1, -1)).filter(Boolean).map((v) => parseFloat(v));
+    return tuple.every(Number.isFinite) ? tuple : NaN;
+  }
+  if (/^[A-Za-z]+\(/.test(arg)) return parseGeometryFunction(arg) || NaN;
+  return parseFloat(arg);
+}
+const geometryCache = /* @__PURE__ */ new Map();
+const geometryCacheKeys = /* @__PURE__ */ new WeakMap();
+function parseGeometryFunction(text) {
+  const match = text.match(/^([A-Za-z]+)\(([\s\S]*)\)$/);
+  if (!match) return null;
+  const lower = match[1].toLowerCase();
+  const className = GEOMETRY_FUNCTIONS[lower] || GEOMETRY_FUNCTIONS[lower.replace(/geometry$/, "")];
+  if (!className) return null;
+  const args = splitTopLevelCommas(match[2]).filter(Boolean).map(parseGeometryArg);
+  const builder = GEOMETRY_BUILDERS[className];
+  if (args.some((arg) => typeof arg === "number" && !Number.isFinite(arg)) || !builder && args.some((arg) => typeof arg === "object")) {
+    console.warn(`Invalid geometry parameters in "${text}".`);
+    return null;
+  }
+  const key = `${className}(${match[2].replace(/\s+/g, "")})`;
+  let geometry = geometryCache.get(key);
+  if (!geometry) {
+    geometry = builder ? builder(args) : new THREE[className](...args);
+    if (!geometry) {
+      console.warn(`Invalid geometry parameters in "${text}".`);
+      return null;
+    }
+    geometryCache.set(key, geometry);
+    geometryCacheKeys.set(geometry, key);
+  }
+  return geometry;
+}
+function CSSValueTo3JSValue(value, __object = null, declarations = null) {
+  let normalizedValue = typeof value === "string" ? value.trim() : value;
   if (typeof normalizedValue !== "string") return normalizedValue;
+  const expanded = expandCSSValue(normalizedValue, __object, declarations);
+  if (expanded == null) return void 0;
+  const assetCell = getConvictCell(__object);
+  const assetName = expanded.replace(/^['"]|['"]$/g, "");
+  if (hasAsset(assetName, assetCell)) return getAsset(assetName, null, assetCell);
+  const color = parseCSSColor(expanded, __object);
+  if (color) return color;
+  normalizedValue = convertCSSAngles(expanded);
+  const geometry = parseGeometryFunction(normalizedValue);
+  if (geometry) return geometry;
   let parsed;
   if (/^\(.+\)$/.test(normalizedValue)) {
     parsed = normalizedValue.slice(1, -1).split(",").map((v) => parseFloat(v.trim()));
@@ -757,11 +2807,8 @@ function CSSValueTo3JSValue(value, __object = null) {
     parsed = normalizedValue.replace(/^['"]|['"]$/g, "");
   }
   if (typeof parsed === "string") {
-    
-    const assetName = parsed;
-    if (getAsset(assetName)) {
-      return getAsset(assetName);
-    }
+    const asset = getAsset(parsed, null, assetCell);
+    if (asset) return asset;
     switch (parsed[0]) {
       case "@": {
         if (!__object) {
@@ -791,29 +2838,270 @@ function CSSValueTo3JSValue(value, __object = null) {
   }
   return parsed;
 }
-function exchange_rule(parent, key, value) {
-  if (!parent) return;
-  const target = parent[key];
-  try {
-    if (Array.isArray(value)) {
-      if (target && typeof target.set === "function") {
-        target.set(...value);
-      } else if (typeof target === "function") {
-        target(...value);
-      } else {
-        parent[key] = value;
-      }
+const CAMERA_PROJECTION_KEYS = /* @__PURE__ */ new Set(["fov", "near", "far", "zoom", "aspect", "left", "right", "top", "bottom", "filmGauge", "filmOffset"]);
+function exchange_rule(parent, key, value) {
+  if (!parent) return;
+  const target = parent[key];
+  if (typeof target === "boolean" && (value === "true" || value === "false")) {
+    value = value === "true";
+  }
+  try {
+    if (Array.isArray(value)) {
+      if (target && target.isColor) {
+        target.setRGB(value[0] ?? 0, value[1] ?? 0, value[2] ?? 0, THREE.SRGBColorSpace);
+      } else if (target && typeof target.set === "function") {
+        target.set(...value);
+      } else if (typeof target === "function") {
+        target(...value);
+      } else {
+        parent[key] = value;
+      }
+    } else if (target && typeof target.set === "function") {
+      target.set(value);
+    } else if (typeof target === "function") {
+      target(value);
+    } else {
+      parent[key] = value;
+    }
+    if (parent.isCamera && CAMERA_PROJECTION_KEYS.has(key) && typeof parent.updateProjectionMatrix === "function") {
+      parent.updateProjectionMatrix();
+    }
+  } catch (err) {
+    console.warn(`Failed to assign ${key} with`, value, err);
+  }
+}
+const ASSET_STATE_FLAGS = [[":loading", "loading"], [":error", "error"]];
+function syncConvictAssetFlags(object) {
+  const statuses = Object.values(object.userData._assetStates || {}).map((entry) => entry.status);
+  const extra = object.userData.extraParams;
+  if (!extra) return;
+  let changed = false;
+  for (const [flag, status] of ASSET_STATE_FLAGS) {
+    changed = (statuses.includes(status) ? addFlag(extra, flag) : delFlag(extra, flag)) || changed;
+  }
+  if (changed) queueMicrotask(() => paintStateChange(object));
+}
+function watchConvictAsset(object, prop, pending) {
+  const states = object.userData._assetStates || (object.userData._assetStates = /* @__PURE__ */ Object.create(null));
+  if (states[prop] && states[prop].pending === pending) return;
+  states[prop] = { pending, status: "loading" };
+  syncConvictAssetFlags(object);
+  const settle = (resolved) => {
+    if (!states[prop] || states[prop].pending !== pending) return;
+    if (resolved == null) {
+      states[prop].status = "error";
+    } else {
+      delete states[prop];
+    }
+    syncConvictAssetFlags(object);
+  };
+  pending.then(settle, () => settle(null));
+}
+const resourceRefCounts = /* @__PURE__ */ new Map();
+function collectMaterialResources(material, out) {
+  if (!(material == null ? void 0 : material.isMaterial)) return;
+  out.add(material);
+  Object.values(material).forEach((value) => {
+    if (value == null ? void 0 : value.isTexture) out.add(value);
+  });
+  Object.values(material.uniforms || {}).forEach((uniform) => {
+    var _a;
+    if ((_a = uniform == null ? void 0 : uniform.value) == null ? void 0 : _a.isTexture) out.add(uniform.value);
+  });
+}
+function collectConvictResources(object, out = /* @__PURE__ */ new Set()) {
+  var _a;
+  if ((_a = object.geometry) == null ? void 0 : _a.isBufferGeometry) out.add(object.geometry);
+  const materials = Array.isArray(object.material) ? object.material : [object.material];
+  materials.forEach((material) => collectMaterialResources(material, out));
+  object.children.forEach((child) => {
+    var _a2;
+    if (!((_a2 = child.userData) == null ? void 0 : _a2.domEl) && !child.userData._instanceBatch) collectConvictResources(child, out);
+  });
+  return out;
+}
+function retainResource(resource) {
+  resourceRefCounts.set(resource, (resourceRefCounts.get(resource) || 0) + 1);
+}
+function releaseResource(resource) {
+  const count = (resourceRefCounts.get(resource) || 0) - 1;
+  if (count > 0) {
+    resourceRefCounts.set(resource, count);
+    return;
+  }
+  resourceRefCounts.delete(resource);
+  evictAssetResource(resource);
+  if (typeof resource.dispose === "function") resource.dispose();
+}
+function retainConvictResources(object) {
+  const next = collectConvictResources(object);
+  const prev = object.userData._heldResources || /* @__PURE__ */ new Set();
+  next.forEach((resource) => {
+    if (!prev.has(resource)) retainResource(resource);
+  });
+  prev.forEach((resource) => {
+    if (!next.has(resource)) releaseResource(resource);
+  });
+  object.userData._heldResources = next;
+}
+function releaseConvictResources(object) {
+  const held = object.userData._heldResources;
+  const bases = object.userData._cssBaseValues;
+  object.userData._heldResources = /* @__PURE__ */ new Set();
+  object.userData._cssBaseValues = null;
+  if (held) held.forEach(releaseResource);
+  if (bases) Object.values(bases).forEach((base) => base.held.forEach(releaseResource));
+}
+function disposeAssetValue(value) {
+  if (!value || typeof value.then === "function") return;
+  if (value.isObject3D) {
+    collectConvictResources(value).forEach((resource) => {
+      if (!resourceRefCounts.has(resource)) resource.dispose();
+    });
+  } else if (!resourceRefCounts.has(value) && typeof value.dispose === "function") {
+    value.dispose();
+  }
+}
+function getResourceStats() {
+  const stats = { geometries: 0, materials: 0, textures: 0, assets: assetMap.size };
+  resourceRefCounts.forEach((_, resource) => {
+    if (resource.isBufferGeometry) stats.geometries++;
+    else if (resource.isMaterial) stats.materials++;
+    else if (resource.isTexture) stats.textures++;
+  });
+  return stats;
+}
+const activeTransitions = /* @__PURE__ */ new WeakMap();
+function cancelActiveTransition(parent, key) {
+  const running = activeTransitions.get(parent);
+  const cancel = running && running.get(key);
+  if (!cancel) return;
+  running.delete(key);
+  cancel();
+}
+function commitConvictValue(object, parent, key, finalValue, _chosenOne) {
+  var _a;
+  cancelActiveTransition(parent, key);
+  const transition = object.transition;
+  const currentRaw = parent[key];
+  const colorTarget = !!(currentRaw == null ? void 0 : currentRaw.isColor);
+  if (colorTarget && Array.isArray(finalValue)) {
+    finalValue = colorFromCSSTuple(finalValue);
+  }
+  const currentValue = colorTarget ? currentRaw.clone() : currentRaw && typeof currentRaw.toArray === "function" ? currentRaw.toArray() : currentRaw;
+  const duration = (transition == null ? void 0 : transition.duration) ?? 0;
+  const timingFn = ((_a = transition == null ? void 0 : transition.timing) == null ? void 0 : _a.fun) ?? "linear";
+  const isLerpable = (v) => typeof v === "number" || Array.isArray(v) || !!(v == null ? void 0 : v.isColor);
+  const isAnimatable = transition && duration > 0 && isLerpable(currentValue) && isLerpable(finalValue);
+  if (isAnimatable) {
+    if (!activeTransitions.has(parent)) activeTransitions.set(parent, /* @__PURE__ */ new Map());
+    const running = activeTransitions.get(parent);
+    let cancel = null;
+    cancel = animateLerp(
+      currentValue,
+      finalValue,
+      duration,
+      (v) => {
+        exchange_rule(parent, key, v);
+        invalidateConvictCell(object);
+      },
+      () => {
+        if (running.get(key) === cancel) running.delete(key);
+        object.dispatchEvent({
+          type: "TransitionFinished",
+          target: object,
+          detail: { selector: _chosenOne, to: parent }
+        });
+      },
+      timingFn,
+      null,
+      transition.colorSpace || "srgb"
+    );
+    running.set(key, cancel);
+  } else {
+    exchange_rule(parent, key, finalValue);
+  }
+  retainConvictResources(object);
+  invalidateConvictCell(object);
+}
+function snapshotBaseValue(value) {
+  if (value == null || typeof value !== "object") return value;
+  if (value.isColor) return value.clone();
+  if (typeof value.toArray === "function" && !value.isTexture && !value.isMaterial && !value.isBufferGeometry) return value.toArray();
+  return value;
+}
+function rememberBaseValue(object, prop, path, parent, key) {
+  const bases = object.userData._cssBaseValues || (object.userData._cssBaseValues = /* @__PURE__ */ Object.create(null));
+  if (!parent || prop in bases) return;
+  const value = snapshotBaseValue(parent[key]);
+  const held = /* @__PURE__ */ new Set();
+  [].concat(value).forEach((entry) => {
+    if ((entry == null ? void 0 : entry.isBufferGeometry) || (entry == null ? void 0 : entry.isTexture)) held.add(entry);
+    else collectMaterialResources(entry, held);
+  });
+  held.forEach(retainResource);
+  bases[prop] = { path, value, held };
+}
+function restoreBaseValue(object, rawProp) {
+  const prop = rawProp.slice(2);
+  object.userData._pendingAsyncAssignments[prop] = ++asyncAssignmentSerial;
+  switch (rawProp) {
+    case "--transition":
+      object.transition = null;
+      return;
+    case "--animation":
+      stopObjectAnimation(object);
+      object.userData._animationConfigKey = null;
+      object.animation = null;
+      return;
+    case "--model":
+      mountConvictModel(object, "none", null);
+      return;
+    case "--instancing":
+      setConvictInstancing(object, object.isInstancedGroup ? "auto" : "none");
+      return;
+    case "--clip":
+      object.userData._clipConfigs = [];
+      applyConvictClips(object);
+      return;
+    case "--material":
+      object.userData._materialSource = null;
+      object.userData._materialToken = (object.userData._materialToken || 0) + 1;
+      break;
+  }
+  const base = (object.userData._cssBaseValues || {})[prop];
+  if (!base) return;
+  const { parent, key } = deep_searchParms(object, base.path);
+  if (!parent) return;
+  const value = base.value && base.value.isColor ? base.value.clone() : base.value;
+  if (value && value.isMaterial && parent[key] !== value) {
+    swapConvictMaterial(object, value);
+    return;
+  }
+  commitConvictValue(object, parent, key, value, null);
+}
+function restoreDroppedProps(object, rule) {
+  if (rule.onlyProps === void 0) return;
+  const declared = new Set(Array.from(rule.style).filter((prop) => prop.startsWith("--")));
+  const previous = object.userData._cssAppliedProps || /* @__PURE__ */ new Set();
+  const next = /* @__PURE__ */ new Set();
+  previous.forEach((prop) => {
+    if (declared.has(prop)) return;
+    if (rule.onlyProps && !rule.onlyProps.has(prop)) {
+      next.add(prop);
       return;
     }
-    if (target && typeof target.set === "function") {
-      target.set(value);
-    } else if (typeof target === "function") {
-      target(value);
-    } else {
-      parent[key] = value;
-    }
-  } catch (err) {
-    console.warn(`Failed to assign ${key} with`, value, err);
+    restoreBaseValue(object, prop);
+  });
+  declared.forEach((prop) => next.add(prop));
+  object.userData._cssAppliedProps = next;
+}
+function syncConvictPickable(object) {
+  const domEl = object.userData.domEl;
+  if (domEl && hasCellHandler(domEl) || hasInteractivePseudoRule(object)) {
+    object.layers.enable(3);
+  } else {
+    object.layers.disable(3);
   }
 }
 function _apply_rule(rule, object, _chosenOne = null) {
@@ -822,11 +3110,7 @@ function _apply_rule(rule, object, _chosenOne = null) {
   object.userData._lastCSS = object.userData._lastCSS || /* @__PURE__ */ Object.create(null);
   object.userData._pendingAsyncAssignments = object.userData._pendingAsyncAssignments || /* @__PURE__ */ Object.create(null);
   let sawAnimationDeclaration = false;
-  if ((domEl == null ? void 0 : domEl.hasAttribute("onclick")) || (domEl == null ? void 0 : domEl.hasAttribute("onmouseover")) || (domEl == null ? void 0 : domEl.hasAttribute("ondblclick")) || (domEl == null ? void 0 : domEl.hasAttribute("onmousedown")) || (domEl == null ? void 0 : domEl.hasAttribute("onmouseup")) || (domEl == null ? void 0 : domEl.hasAttribute("oncontextmenu")) || hasClassPseudoRule(object, ":hover") || hasClassPseudoRule(object, ":focus") || object.userData.domId && getCSSRule(`#${object.userData.domId}:focus`) || object.userData.domId && getCSSRule(`#${object.userData.domId}:hover`)) {
-    object.layers.enable(3);
-  } else {
-    object.layers.disable(3);
-  }
+  syncConvictPickable(object);
   for (let i = 0; i < rule.style.length; i++) {
     const rawProp = rule.style[i];
     const value = rule.style.getPropertyValue(rawProp).trim();
@@ -847,15 +3131,46 @@ function _apply_rule(rule, object, _chosenOne = null) {
       object.animation = animCfg;
       continue;
     }
+    if (rawProp === "--model") {
+      mountConvictModel(object, value, rule);
+      continue;
+    }
+    if (rawProp === "--material") {
+      rememberBaseValue(object, "material", ["material"], object, "material");
+    }
+    if (rawProp === "--material" && applyConvictMaterialType(object, value, rule)) {
+      continue;
+    }
+    if (rawProp === "--instancing") {
+      setConvictInstancing(object, value);
+      continue;
+    }
+    if (rawProp === "--clip") {
+      object.userData._clipConfigs = parseClipCSS(value);
+      applyConvictClips(object);
+      continue;
+    }
     const prop = rawProp.slice(2);
     const path = prop.split("-");
-    const parsed = CSSValueTo3JSValue(value, object);
+    if (path.length > 2 && path[path.length - 2] === "uniforms") {
+      path.push("value");
+    }
+    const textureSetting = path.length > 1 ? getTextureSettingKey(path[path.length - 1]) : null;
+    if (textureSetting) {
+      const slotPath = path.slice(0, -1);
+      const slot = lookupObjectPath(object, slotPath);
+      if (slot && isTextureSlot(slot.parent, slot.key)) {
+        applyConvictTextureSetting(object, slotPath, textureSetting, value, rule);
+        continue;
+      }
+    }
+    const parsed = CSSValueTo3JSValue(value, object, rule);
     const { parent, key } = deep_searchParms(object, path);
+    rememberBaseValue(object, prop, path, parent, key);
     const referencedAssetName = value;
     const assignmentToken = ++asyncAssignmentSerial;
     object.userData._pendingAsyncAssignments[prop] = assignmentToken;
     const assignValue = (resolvedValue) => {
-      var _a;
       if (object.userData._pendingAsyncAssignments[prop] !== assignmentToken) {
         return;
       }
@@ -870,32 +3185,14 @@ function _apply_rule(rule, object, _chosenOne = null) {
           parent.material = cloneMaterialLike(payload.material);
         }
       }
-      const transition = object.transition;
-      const currentRaw = parent[key];
-      const currentValue = currentRaw && typeof currentRaw.toArray === "function" ? currentRaw.toArray() : currentRaw;
-      const duration = (transition == null ? void 0 : transition.duration) ?? 0;
-      const timingFn = ((_a = transition == null ? void 0 : transition.timing) == null ? void 0 : _a.fun) ?? "linear";
-      const isAnimatable = transition && duration > 0 && (typeof currentValue === "number" || Array.isArray(currentValue)) && (typeof finalValue === "number" || Array.isArray(finalValue));
-      if (isAnimatable) {
-        animateLerp(
-          currentValue,
-          finalValue,
-          duration,
-          (v) => exchange_rule(parent, key, v),
-          () => {
-            object.dispatchEvent({
-              type: "TransitionFinished",
-              target: object,
-              detail: { selector: _chosenOne, to: parent }
-            });
-          },
-          timingFn
-        );
-      } else {
-        exchange_rule(parent, key, finalValue);
+      if ((finalValue == null ? void 0 : finalValue.isTexture) && parent.isMaterial) {
+        finalValue = adoptConvictTexture(object, prop, parent, key, finalValue);
+        if (finalValue === parent[key]) return;
       }
+      commitConvictValue(object, parent, key, finalValue, _chosenOne);
     };
     if (parsed && typeof parsed.then === "function") {
+      watchConvictAsset(object, rawProp, parsed);
       parsed.then(assignValue).catch(
         (err) => console.error("Failed to resolve asset for", rawProp, err)
       );
@@ -903,107 +3200,458 @@ function _apply_rule(rule, object, _chosenOne = null) {
       assignValue(parsed);
     }
   }
+  restoreDroppedProps(object, rule);
+  retainConvictResources(object);
+  invalidateConvictCell(object);
   if (sawAnimationDeclaration && !object.animation) {
     stopObjectAnimation(object);
   }
-  if (object.animation) {
-    if (!object.userData._animationRunning) {
-      const controller = new AbortController();
-      object.userData._animationRunning = true;
-      object.userData._animationAbortController = controller;
-      (async () => {
-        try {
-          await KeyFrameAnimationLerp(object, object.animation, controller.signal);
-        } catch (err) {
-          if (!controller.signal.aborted) {
-            console.error(err);
-          }
-        } finally {
-          if (object.userData._animationAbortController === controller) {
-            object.userData._animationAbortController = null;
-            object.userData._animationRunning = false;
-          }
-        }
-      })();
+  if (object.animation) runConvictAnimation(object);
+}
+function runConvictAnimation(object) {
+  if (object.userData._animationRunning) return;
+  const controller = new AbortController();
+  object.userData._animationRunning = true;
+  object.userData._animationAbortController = controller;
+  (async () => {
+    try {
+      await KeyFrameAnimationLerp(object, object.animation, controller.signal);
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error(err);
+      }
+    } finally {
+      if (object.userData._animationAbortController === controller) {
+        object.userData._animationAbortController = null;
+        object.userData._animationRunning = false;
+      }
     }
-  }
+  })();
 }
 function paintConvict(convictElm, cell) {
-  gatherAssetRules();
+  gatherAssetRules(cell);
   const convict = cell._allConvictsByDom.get(convictElm);
-  if (convict) {
-    _apply_rule(convictElm, convict);
-  }
+  if (!convict) return;
+  const inlineProps = getInlineCustomProps(convictElm);
+  const touched = new Set([...convict.userData._inlineProps || [], ...inlineProps]);
+  convict.userData._inlineProps = inlineProps;
+  if (touched.size) withPaintCascadeCache(() => _apply_rule(resolveCascade(convict, touched), convict));
+}
+function getCellConvicts(muse) {
+  const convicts = [];
+  muse.loadedScene.traverse((node) => {
+    var _a;
+    const domEl = (_a = node.userData) == null ? void 0 : _a.domEl;
+    if (domEl && muse.getConvictByDom(domEl) === node) convicts.push(node);
+  });
+  return convicts;
 }
 function paintExtraCell(muse) {
-  for (const obj of muse.classyConvicts) {
-    const classes = getObjectClassSelectors(obj);
-    (obj.userData.extraParams || []).forEach((param) => {
-      classes.forEach((cls) => {
-        const rule = getCSSRule(`.${cls}${param}`);
-        if (rule) _apply_rule(rule, obj);
-      });
+  for (const obj of getCellConvicts(muse)) {
+    if ((obj.userData.extraParams || []).length) paintSpecificMuse(obj);
+  }
+}
+function paintCell(muse) {
+  gatherAssetRules(muse);
+  applyCellRenderSettings(muse);
+  withPaintCascadeCache(() => {
+    for (const obj of getCellConvicts(muse)) {
+      paintSpecificMuse(obj);
+    }
+  });
+}
+function paintSpecificMuse(muse) {
+  gatherAssetRules(getConvictCell(muse));
+  muse.userData._inlineProps = getInlineCustomProps(muse.userData.domEl);
+  withPaintCascadeCache(() => _apply_rule(resolveCascadeCached(muse), muse));
+}
+function paintConvictTree(muse) {
+  withPaintCascadeCache(() => {
+    muse.traverse((node) => {
+      var _a;
+      if ((_a = node.userData) == null ? void 0 : _a.domEl) paintSpecificMuse(node);
     });
+  });
+}
+function paintStateChange(muse) {
+  const cell = getConvictCell(muse);
+  getCascadeRuleIndex(cell);
+  const cache = getStyleCache(cell);
+  if (cache.cascadeHasSiblingState) {
+    paintConvictTree(muse);
+    for (let el = muse.userData.domEl.nextElementSibling; el; el = el.nextElementSibling) {
+      const sibling = cell.getConvictByDom(el);
+      if (sibling) paintConvictTree(sibling);
+    }
+  } else if (cache.cascadeHasAncestorState) {
+    paintConvictTree(muse);
+  } else {
+    paintSpecificMuse(muse);
+  }
+}
+function paintConstantMuse(muse) {
+  if ((muse.userData.extraParams || []).includes(":active")) {
+    paintSpecificMuse(muse);
   }
-  for (const obj of muse.namedConvicts) {
-    if (!obj.userData.domId) continue;
-    (obj.userData.extraParams || []).forEach((param) => {
-      const rule = getCSSRule(`#${obj.userData.domId}${param}`);
-      if (rule) _apply_rule(rule, obj);
+}
+const CELL_TONE_MAPPINGS = {
+  none: "NoToneMapping",
+  linear: "LinearToneMapping",
+  reinhard: "ReinhardToneMapping",
+  cineon: "CineonToneMapping",
+  aces: "ACESFilmicToneMapping",
+  acesfilmic: "ACESFilmicToneMapping",
+  agx: "AgXToneMapping",
+  neutral: "NeutralToneMapping",
+  custom: "CustomToneMapping"
+};
+const CELL_SHADOW_MAP_TYPES = {
+  basic: "BasicShadowMap",
+  pcf: "PCFShadowMap",
+  pcfsoft: "PCFSoftShadowMap",
+  vsm: "VSMShadowMap"
+};
+const CELL_RENDERER_ENUMS = {
+  toneMapping: CELL_TONE_MAPPINGS,
+  outputColorSpace: { srgb: "SRGBColorSpace", "srgb-linear": "LinearSRGBColorSpace", linear: "LinearSRGBColorSpace" }
+};
+function markSceneMaterialsDirty(scene) {
+  scene.traverse((node) => {
+    const materials = Array.isArray(node.material) ? node.material : node.material ? [node.material] : [];
+    materials.forEach((material) => {
+      material.needsUpdate = true;
     });
+  });
+}
+function applyCellShadowMap(cell, value) {
+  const shadowMap = cell.threeRenderer.shadowMap;
+  const mode = value == null ? "none" : value.toLowerCase();
+  const enabled = mode !== "none";
+  const typeName = CELL_SHADOW_MAP_TYPES[mode];
+  if (enabled && !typeName) {
+    console.warn(`Unknown --shadow-map type "${value}".`);
+    return;
   }
+  const type = enabled ? THREE[typeName] : shadowMap.type;
+  if (shadowMap.enabled === enabled && shadowMap.type === type) return;
+  shadowMap.enabled = enabled;
+  shadowMap.type = type;
+  shadowMap.needsUpdate = true;
+  markSceneMaterialsDirty(cell.loadedScene);
 }
-function paintCell(muse) {
-  gatherAssetRules();
-  for (const obj of muse.classyConvicts) {
-    for (const cls of getObjectClassSelectors(obj)) {
-      const rule = getCSSRule(`.${cls}`);
-      if (rule) _apply_rule(rule, obj, `.${cls}`);
-    }
+function resolveCellSettingValue(cell, prop, value, subject, declarations, assign) {
+  const token = cell._settingTokens[prop] = (cell._settingTokens[prop] || 0) + 1;
+  if (value == null) return;
+  const settle = (resolved) => {
+    if (cell._settingTokens[prop] === token && resolved !== void 0) assign(resolved);
+  };
+  const parsed = CSSValueTo3JSValue(value, subject, declarations);
+  if (parsed && typeof parsed.then === "function") {
+    parsed.then(settle).catch((err) => console.error(`Failed to resolve ${prop}`, err));
+  } else {
+    settle(parsed);
+  }
+}
+function getCellEnvironmentMap(cell, texture) {
+  if (!cell._pmremGenerator) {
+    cell._pmremGenerator = new THREE.PMREMGenerator(cell.threeRenderer);
   }
-  for (const obj of muse.namedConvicts) {
-    if (!obj.userData.domId) continue;
-    const rule = getCSSRule(`#${obj.userData.domId}`);
-    if (rule) _apply_rule(rule, obj, `#${obj.userData.domId}`);
+  let target = cell._pmremTargets.get(texture);
+  if (!target) {
+    target = texture.isCubeTexture ? cell._pmremGenerator.fromCubemap(texture) : cell._pmremGenerator.fromEquirectangular(texture);
+    cell._pmremTargets.set(texture, target);
   }
+  return target.texture;
 }
-function paintSpecificMuse(muse) {
-  var _a;
-  gatherAssetRules();
-  const extra = muse.userData.extraParams || [];
-  getObjectClassSelectors(muse).forEach((cls) => {
-    const rule = getCSSRule(`.${cls}`);
-    if (rule) _apply_rule(rule, muse);
+function applyCellEnvironment(cell, value, subject, declarations) {
+  const scene = cell.loadedScene;
+  const settingValue = value == null || value === "none" ? null : value;
+  if (settingValue == null) scene.environment = null;
+  resolveCellSettingValue(cell, "--environment", settingValue, subject, declarations, (environment) => {
+    if (environment && environment.isTexture) {
+      scene.environment = getCellEnvironmentMap(cell, environment);
+    } else {
+      console.warn(`--environment: "${value}" is not a texture asset.`);
+    }
   });
-  if (muse.userData.domId) {
-    const baseIdRule = getCSSRule(`#${muse.userData.domId}`);
-    if (baseIdRule) _apply_rule(baseIdRule, muse);
-  }
-  extra.forEach((param) => {
-    getObjectClassSelectors(muse).forEach((cls) => {
-      const clsRule = getCSSRule(`.${cls}${param}`);
-      if (clsRule) _apply_rule(clsRule, muse);
-    });
+}
+function applyCellBackground(cell, value, subject, declarations) {
+  const renderer = cell.threeRenderer;
+  const scene = cell.loadedScene;
+  const settingValue = value == null || value === "none" || value === "transparent" ? null : value;
+  if (settingValue == null) {
+    scene.background = null;
+    renderer.setClearColor(0, value === "transparent" ? 0 : 1);
+  }
+  resolveCellSettingValue(cell, "--background", settingValue, subject, declarations, (background) => {
+    if (background && background.isColor) {
+      scene.background = background;
+      renderer.setClearColor(background, 1);
+    } else if (background && background.isTexture) {
+      scene.background = background;
+    } else {
+      console.warn(`--background: "${value}" is neither a color nor a texture.`);
+    }
   });
-  if (muse.userData.domId) {
-    extra.forEach((param) => {
-      const idRule = getCSSRule(`#${muse.userData.domId}${param}`);
-      if (idRule) _apply_rule(idRule, muse);
+}
+function applyCellFog(cell, value, subject, declarations) {
+  const scene = cell.loadedScene;
+  if (value == null || value === "none") {
+    scene.fog = null;
+    return;
+  }
+  const expanded = expandCSSValue(value, subject, declarations);
+  if (expanded == null) return;
+  const parts = splitTopLevelCommas(expanded.replace(/^\(([\s\S]*)\)$/, "$1"));
+  const color = parseCSSColor(parts[parts.length - 1], subject);
+  const numbers = parts.slice(0, -1).map((part) => parseFloat(part));
+  if (!color || !numbers.length || numbers.length > 2 || numbers.some((n) => !Number.isFinite(n))) {
+    console.warn(`--fog expects (near, far, color) or (density, color), got "${value}".`);
+    return;
+  }
+  if (numbers.length === 2) {
+    if (!(scene.fog && scene.fog.isFog)) scene.fog = new THREE.Fog(color);
+    scene.fog.near = numbers[0];
+    scene.fog.far = numbers[1];
+  } else {
+    if (!(scene.fog && scene.fog.isFogExp2)) scene.fog = new THREE.FogExp2(color);
+    scene.fog.density = numbers[0];
+  }
+  scene.fog.color.copy(color);
+}
+function applyCellObjectProperty(cell, root, prop, path, value, subject, declarations) {
+  const { parent, key } = deep_searchParms(root, path);
+  const defaults = cell._renderDefaults;
+  if (value == null) {
+    if (defaults.has(prop)) exchange_rule(parent, key, defaults.get(prop));
+    defaults.delete(prop);
+    return;
+  }
+  if (!defaults.has(prop)) {
+    const current = parent[key];
+    defaults.set(prop, current && typeof current.clone === "function" ? current.clone() : current);
+  }
+  const enumMap = root === cell.threeRenderer ? CELL_RENDERER_ENUMS[path.join("-")] : null;
+  const enumName = enumMap ? enumMap[value.toLowerCase()] : null;
+  const parsed = enumName ? THREE[enumName] : CSSValueTo3JSValue(value, subject, declarations);
+  if (parsed === void 0) return;
+  exchange_rule(parent, key, parsed);
+  if (root === cell.threeRenderer && (key === "toneMapping" || key === "outputColorSpace")) {
+    markSceneMaterialsDirty(cell.loadedScene);
+  }
+}
+const POSTPROCESS_PASSES = {
+  bloom: {
+    addons: ["postprocessing/UnrealBloomPass.js"],
+    params: { strength: 1, radius: 0.4, threshold: 0.85 },
+    create: ([{ UnrealBloomPass }], size) => new UnrealBloomPass(size, 1, 0.4, 0.85)
+  },
+  fxaa: {
+    addons: ["postprocessing/ShaderPass.js", "shaders/FXAAShader.js"],
+    params: {},
+    create: ([{ ShaderPass }, { FXAAShader }]) => new ShaderPass(FXAAShader),
+    sync: (pass, cell) => {
+      const size = cell.threeRenderer.getDrawingBufferSize(postprocessBufferSize);
+      pass.uniforms.resolution.value.set(1 / Math.max(size.x, 1), 1 / Math.max(size.y, 1));
+    }
+  },
+  vignette: {
+    addons: ["postprocessing/ShaderPass.js", "shaders/VignetteShader.js"],
+    params: { darkness: 1, offset: 1 },
+    create: ([{ ShaderPass }, { VignetteShader }]) => new ShaderPass(VignetteShader)
+  },
+  film: {
+    addons: ["postprocessing/FilmPass.js"],
+    params: { intensity: 0.5, grayscale: false },
+    create: ([{ FilmPass }]) => new FilmPass()
+  },
+  rgbshift: {
+    addons: ["postprocessing/ShaderPass.js", "shaders/RGBShiftShader.js"],
+    params: { amount: 5e-3, angle: 0 },
+    create: ([{ ShaderPass }, { RGBShiftShader }]) => new ShaderPass(RGBShiftShader)
+  },
+  afterimage: {
+    addons: ["postprocessing/AfterimagePass.js"],
+    params: { damp: 0.96 },
+    create: ([{ AfterimagePass }]) => new AfterimagePass()
+  }
+};
+const postprocessBufferSize = new THREE.Vector2();
+function parsePostprocessCSS(value, subject, declarations) {
+  const expanded = expandCSSValue(value, subject, declarations);
+  if (expanded == null) return [];
+  const entries = [];
+  for (const match of convertCSSAngles(expanded).matchAll(/([a-z][\w-]*)\s*(?:\(([^)]*)\))?/gi)) {
+    const type = match[1].toLowerCase();
+    if (type === "none") continue;
+    const kind = POSTPROCESS_PASSES[type];
+    if (!kind) {
+      console.warn(`--postprocess: unknown pass "${match[1]}".`);
+      continue;
+    }
+    const args = (match[2] || "").split(",").map((arg) => arg.trim()).filter(Boolean);
+    const params = {};
+    Object.keys(kind.params).forEach((name, i) => {
+      const raw = args[i];
+      if (raw === void 0) return;
+      params[name] = raw === "true" || raw === "false" ? raw === "true" : parseFloat(raw);
     });
+    entries.push({ type, params });
   }
-  if ((_a = muse.userData.domEl) == null ? void 0 : _a.hasAttribute("style")) {
-    _apply_rule(muse.userData.domEl, muse);
+  return entries;
+}
+function getCellSettingsHost(cell) {
+  if (!cell._settingsHost) {
+    const host = cell._settingsHost = new THREE.Object3D();
+    host.userData = { domEl: cell.cellElm, domId: "", classList: [], extraParams: [] };
+    host.transition = null;
+    host.postprocess = {};
   }
+  return cell._settingsHost;
 }
-function paintConstantMuse(muse) {
-  getObjectClassSelectors(muse).forEach((cls) => {
-    const rule = getCSSRule(`.${cls}:active`);
-    if (rule) _apply_rule(rule, muse);
+function applyCellPostprocess(cell, value, subject, declarations) {
+  const host = getCellSettingsHost(cell);
+  const transition = declarations.style.getPropertyValue("--transition").trim();
+  host.transition = transition ? parseTransitionCSS(transition) : null;
+  const spec = value == null ? [] : parsePostprocessCSS(value, subject, declarations);
+  const params = {};
+  spec.forEach((entry) => {
+    const defaults = POSTPROCESS_PASSES[entry.type].params;
+    const target = params[entry.type] || host.postprocess[entry.type] || { ...defaults };
+    params[entry.type] = target;
+    Object.entries(defaults).forEach(([name, fallback]) => {
+      commitConvictValue(host, target, name, entry.params[name] ?? fallback, null);
+    });
+  });
+  host.postprocess = params;
+  cell._postprocessSpec = spec.map((entry) => ({ type: entry.type, params: params[entry.type] }));
+  cell._postprocessEntries = null;
+}
+function applyCellAnimation(cell, value) {
+  const host = getCellSettingsHost(cell);
+  const animCfg = value == null ? null : parseAnimationCSS(value);
+  const nextAnimKey = animationConfigKey(animCfg);
+  if (host.userData._animationConfigKey !== nextAnimKey) {
+    stopObjectAnimation(host);
+    host.userData._animationConfigKey = nextAnimKey;
+  }
+  host.animation = animCfg;
+  if (animCfg) {
+    runConvictAnimation(host);
+  } else {
+    stopObjectAnimation(host);
+  }
+}
+function preparePostPass(pass, type) {
+  pass.passType = String(type || "").trim().toLowerCase();
+  const kind = POSTPROCESS_PASSES[pass.passType];
+  if (!kind) {
+    console.warn(`<pass type="${type}"> is not a known post-processing pass.`);
+    return;
+  }
+  Object.entries(kind.params).forEach(([name, fallback]) => {
+    if (pass[name] === void 0) pass[name] = fallback;
+  });
+}
+function getCellPostprocessEntries(cell) {
+  const passes = [...cell._passConvicts].filter((pass) => POSTPROCESS_PASSES[pass.passType]).sort((a, b) => a.userData.domEl.compareDocumentPosition(b.userData.domEl) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+  return [...cell._postprocessSpec, ...passes.map((pass) => ({ type: pass.passType, params: pass }))];
+}
+function disposeCellComposer(cell) {
+  if (!cell._composer) return;
+  cell._composer.passes.forEach((pass) => pass.dispose());
+  cell._composer.dispose();
+  cell._composer = null;
+  cell._postprocessPasses = [];
+}
+function buildCellComposer(cell, types) {
+  const token = cell._composerToken = (cell._composerToken || 0) + 1;
+  if (!types.length) {
+    disposeCellComposer(cell);
+    cell.invalidate();
+    return;
+  }
+  const kinds = types.map((type) => POSTPROCESS_PASSES[type]);
+  Promise.all([
+    importAddon("postprocessing/EffectComposer.js"),
+    importAddon("postprocessing/RenderPass.js"),
+    importAddon("postprocessing/OutputPass.js"),
+    ...kinds.map((kind) => Promise.all(kind.addons.map(importAddon)))
+  ]).then(([{ EffectComposer }, { RenderPass }, { OutputPass }, ...kindModules]) => {
+    if (cell._composerToken !== token || !cell._running) return;
+    disposeCellComposer(cell);
+    const renderer = cell.threeRenderer;
+    const size = renderer.getSize(new THREE.Vector2());
+    const composer = new EffectComposer(renderer);
+    composer.setPixelRatio(renderer.getPixelRatio());
+    composer.setSize(size.x, size.y);
+    composer.addPass(new RenderPass(cell.loadedScene, cell.focusedCamera));
+    cell._postprocessPasses = kinds.map((kind, i) => {
+      const pass = kind.create(kindModules[i], size);
+      composer.addPass(pass);
+      return pass;
+    });
+    composer.addPass(new OutputPass());
+    cell._composer = composer;
+    cell.invalidate();
+  }).catch((err) => console.error("Failed to build the post-processing chain", err));
+}
+function syncCellPostprocess(cell, entries) {
+  const passes = cell._postprocessPasses;
+  if (!cell._composer || passes.length !== entries.length) return;
+  entries.forEach((entry, i) => {
+    const kind = POSTPROCESS_PASSES[entry.type];
+    const pass = passes[i];
+    pass.enabled = entry.params.enabled !== false;
+    Object.entries(kind.params).forEach(([name, fallback]) => {
+      const value = entry.params[name] ?? fallback;
+      if (pass.uniforms && pass.uniforms[name]) {
+        pass.uniforms[name].value = value;
+      } else {
+        pass[name] = value;
+      }
+    });
+    if (kind.sync) kind.sync(pass, cell);
   });
-  if (muse.userData.domId) {
-    const rule = getCSSRule(`#${muse.userData.domId}:active`);
-    if (rule) _apply_rule(rule, muse);
+}
+function applyCellRenderSetting(cell, prop, value, subject, declarations) {
+  if (prop === "--background") {
+    applyCellBackground(cell, value, subject, declarations);
+  } else if (prop === "--environment") {
+    applyCellEnvironment(cell, value, subject, declarations);
+  } else if (prop === "--fog") {
+    applyCellFog(cell, value, subject, declarations);
+  } else if (prop === "--shadow-map") {
+    applyCellShadowMap(cell, value);
+  } else if (prop === "--postprocess") {
+    applyCellPostprocess(cell, value, subject, declarations);
+  } else if (prop === "--animation") {
+    applyCellAnimation(cell, value);
+  } else if (prop.startsWith("--renderer-")) {
+    applyCellObjectProperty(cell, cell.threeRenderer, prop, prop.slice(11).split("-"), value, subject, declarations);
+  } else if (prop.startsWith("--scene-")) {
+    applyCellObjectProperty(cell, cell.loadedScene, prop, prop.slice(8).split("-"), value, subject, declarations);
+  } else {
+    return false;
+  }
+  return true;
+}
+function applyCellRenderSettings(cell) {
+  const subject = getCellStyleSubject(cell);
+  const declarations = resolveCascade(subject);
+  const style = declarations.style;
+  const applied = /* @__PURE__ */ new Set();
+  for (let i = 0; i < style.length; i++) {
+    const prop = style[i];
+    if (applyCellRenderSetting(cell, prop, style.getPropertyValue(prop).trim(), subject, declarations)) {
+      applied.add(prop);
+    }
   }
+  for (const prop of cell._renderSettingProps) {
+    if (!applied.has(prop)) applyCellRenderSetting(cell, prop, null, subject, declarations);
+  }
+  cell._renderSettingProps = applied;
+  cell.invalidate();
 }
 const raycaster = new THREE.Raycaster();
 const ndcPointer = new THREE.Vector2();
@@ -1013,173 +3661,595 @@ function addFlag(arr, flag) {
   arr.push(flag);
   return true;
 }
-function delFlag(arr, flag) {
-  const hadFlag = arr.includes(flag);
-  if (!hadFlag) return false;
-  fastRemove_arry(arr, flag);
-  return true;
+function delFlag(arr, flag) {
+  const hadFlag = arr.includes(flag);
+  if (!hadFlag) return false;
+  fastRemove_arry(arr, flag);
+  return true;
+}
+const LONG_PRESS_MS = 500;
+const TAP_MOVE_TOLERANCE = 10;
+function getPointerState(cell, domEvt) {
+  const pointerId = domEvt.pointerId ?? 1;
+  let state = cell._pointers.get(pointerId);
+  if (!state) {
+    state = {
+      pointerId,
+      pointerType: domEvt.pointerType || "mouse",
+      hit: null,
+      point: null,
+      down: null,
+      pendingEvt: null,
+      raf: 0
+    };
+    cell._pointers.set(pointerId, state);
+  }
+  return state;
+}
+function makeCellEvent(type, domEvt, cell, object, point) {
+  return {
+    type,
+    originalEvt: domEvt,
+    target3d: object,
+    targetCell: cell,
+    targetElement: object.userData.domEl,
+    pointerPosition: point,
+    pointerId: domEvt.pointerId ?? 1,
+    pointerType: domEvt.pointerType || ("clientX" in domEvt ? "mouse" : ""),
+    isPrimary: domEvt.isPrimary ?? true
+  };
+}
+const CELL_EVENT_HANDLERS = {
+  cellblur: "blur",
+  cellchange: "change",
+  cellclick: "click",
+  cellcontextmenu: "contextmenu",
+  celldblclick: "dblclick",
+  celldown: "mousedown",
+  celldrag: "drag",
+  celldragend: "dragend",
+  celldragstart: "dragstart",
+  cellfocus: "focus",
+  cellhover: "mouseover",
+  celllongpress: "longpress",
+  cellmouseenter: "mouseenter",
+  cellmouseleave: "mouseleave",
+  celltap: "tap",
+  cellup: "mouseup"
+};
+const NON_BUBBLING_CELL_EVENTS = ["cellblur", "cellfocus", "cellmouseenter", "cellmouseleave"];
+const CELL_HANDLER_ATTRIBUTES = ["onclick", "onmouseover", "ondblclick", "onmousedown", "onmouseup", "oncontextmenu", "onchange", "draggable", "toggle"];
+const CELL_HANDLER_PROPERTIES = ["ontap", "onlongpress"];
+const convictCellListeners = /* @__PURE__ */ new WeakMap();
+function hasCellHandler(domEl) {
+  for (let el = domEl; el && el.tagName !== "CELL"; el = el.parentElement) {
+    if (CELL_HANDLER_ATTRIBUTES.some((name) => el.hasAttribute(name))) return true;
+    if (CELL_HANDLER_PROPERTIES.some((name) => typeof el[name] === "function")) return true;
+    const listeners = convictCellListeners.get(el);
+    if (listeners && listeners.length) return true;
+  }
+  return false;
+}
+function refreshConvictPickable(domEl) {
+  const convict = domEl.convict;
+  if (!convict) return;
+  convict.traverse((node) => {
+    if (node.userData && node.userData.domEl) syncConvictPickable(node);
+  });
+}
+function trackConvictHandlers(elm) {
+  if (convictCellListeners.has(elm)) return;
+  const listeners = [];
+  convictCellListeners.set(elm, listeners);
+  const add = elm.addEventListener;
+  const remove = elm.removeEventListener;
+  const captureOf = (options) => typeof options === "boolean" ? options : !!(options && options.capture);
+  const indexOf = (type, listener, options) => listeners.findIndex((entry) => entry.type === type && entry.listener === listener && entry.capture === captureOf(options));
+  Object.defineProperties(elm, {
+    addEventListener: {
+      configurable: true,
+      value(type, listener, options) {
+        add.call(this, type, listener, options);
+        if (!(type in CELL_EVENT_HANDLERS) || !listener || listener === bridgeCellEventHandler || indexOf(type, listener, options) >= 0) return;
+        listeners.push({ type, listener, capture: captureOf(options) });
+        if (listeners.length === 1) refreshConvictPickable(elm);
+      }
+    },
+    removeEventListener: {
+      configurable: true,
+      value(type, listener, options) {
+        remove.call(this, type, listener, options);
+        const index = indexOf(type, listener, options);
+        if (index < 0) return;
+        listeners.splice(index, 1);
+        if (!listeners.length) refreshConvictPickable(elm);
+      }
+    }
+  });
+  CELL_HANDLER_PROPERTIES.forEach((name) => {
+    if (elm.hasAttribute(name)) {
+      console.warn(`${name}="..." is ignored: assign ${name} as a function property or listen for "cell${name.slice(2)}".`);
+    }
+    let handler = typeof elm[name] === "function" ? elm[name] : null;
+    Object.defineProperty(elm, name, {
+      configurable: true,
+      get: () => handler,
+      set(value) {
+        handler = typeof value === "function" ? value : null;
+        refreshConvictPickable(elm);
+      }
+    });
+  });
+}
+function dispatchCellEvent(synth) {
+  const evt = new CustomEvent(synth.type, {
+    bubbles: !NON_BUBBLING_CELL_EVENTS.includes(synth.type),
+    cancelable: true,
+    detail: synth
+  });
+  Object.keys(synth).forEach((key) => {
+    if (key !== "type") evt[key] = synth[key];
+  });
+  Object.defineProperty(evt, "currentTarget3d", {
+    get: () => evt.currentTarget && evt.currentTarget.convict || null
+  });
+  synth.targetElement.dispatchEvent(evt);
+  return evt;
+}
+function bridgeCellEventHandler(evt) {
+  callConvictHandler(this, CELL_EVENT_HANDLERS[evt.type], evt);
+}
+function unbridgeCellEvents(domEl) {
+  Object.keys(CELL_EVENT_HANDLERS).forEach((type) => domEl.removeEventListener(type, bridgeCellEventHandler));
+}
+function callConvictHandler(domEl, name, synth) {
+  const handler = domEl["on" + name];
+  if (typeof handler === "function") handler.call(domEl, synth);
+}
+function isHeldByPointer(cell, object, pick) {
+  for (const state of cell._pointers.values()) {
+    if (pick(state) === object) return true;
+  }
+  return false;
+}
+function cancelPendingPointerMove(state) {
+  if (state.raf) cancelAnimationFrame(state.raf);
+  state.raf = 0;
+  state.pendingEvt = null;
+}
+function trackPointerMovement(state, domEvt) {
+  const down = state.down;
+  if (!down || down.moved) return;
+  if (Math.hypot(domEvt.clientX - down.x, domEvt.clientY - down.y) > TAP_MOVE_TOLERANCE) {
+    down.moved = true;
+    clearTimeout(down.timer);
+  }
+}
+function _castPointer(domEvt, cell) {
+  if (!cell.focusedCamera) return null;
+  _raycast(domEvt, cell.focusedCamera, cell.cellElm);
+  return pickCellObject(cell, domEvt);
+}
+function setPointerHit(cell, state, domEvt, object, point) {
+  const previous = state.hit;
+  let shouldRepaintCurrent = false;
+  if (object !== previous) {
+    state.hit = object;
+    if (previous) {
+      const hoverRemoved = !isHeldByPointer(cell, previous, (s) => s.hit) && delFlag(previous.userData.extraParams, ":hover");
+      dispatchCellEvent(makeCellEvent("cellmouseleave", domEvt, cell, previous, state.point));
+      if (hoverRemoved) paintStateChange(previous);
+    }
+    if (object) {
+      dispatchCellEvent(makeCellEvent("cellmouseenter", domEvt, cell, object, point));
+      shouldRepaintCurrent = true;
+    }
+  }
+  state.point = point;
+  if (domEvt.isPrimary !== false) {
+    cell._last_cast_caught = object;
+    cell._lastHitPosition = point;
+  }
+  if (!object) return;
+  if (addFlag(object.userData.extraParams, ":hover")) {
+    shouldRepaintCurrent = true;
+  }
+  dispatchCellEvent(makeCellEvent("cellhover", domEvt, cell, object, point));
+  if (shouldRepaintCurrent) paintStateChange(object);
+}
+const DRAG_AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+const DRAG_PLANE_NORMALS = {
+  xz: new THREE.Vector3(0, 1, 0),
+  xy: new THREE.Vector3(0, 0, 1),
+  yz: new THREE.Vector3(1, 0, 0)
+};
+const DRAG_AXIS_REACH = 1e4;
+const dragRaycaster = new THREE.Raycaster();
+const dragPoint = new THREE.Vector3();
+dragRaycaster.layers.enableAll();
+function findDraggableConvict(object) {
+  for (let node = object; node; node = node.parent) {
+    const domEl = node.userData && node.userData.domEl;
+    if (domEl && domEl.hasAttribute("draggable") && domEl.getAttribute("draggable") !== "false") return node;
+  }
+  return null;
+}
+function parseDraggableMode(value) {
+  const [kind, arg = ""] = String(value || "").trim().toLowerCase().split(":");
+  if (kind === "surface") return { kind };
+  if (kind === "axis" && DRAG_AXES[arg]) return { kind, axis: DRAG_AXES[arg] };
+  if (kind === "plane" && DRAG_PLANE_NORMALS[arg]) return { kind, normal: DRAG_PLANE_NORMALS[arg] };
+  if (kind === "plane" && !arg || kind === "" || kind === "true") return { kind: "plane", normal: null };
+  console.warn(`draggable="${value}" is not supported (use plane:xz|xy|yz, surface or axis:x|y|z).`);
+  return null;
+}
+function prepareConvictDrag(cell, object, grab) {
+  const mode = parseDraggableMode(object.userData.domEl.getAttribute("draggable"));
+  if (!mode || !grab) return null;
+  const origin = object.getWorldPosition(new THREE.Vector3());
+  const drag = {
+    object,
+    mode,
+    origin,
+    grab: grab.clone(),
+    offset: new THREE.Vector3().subVectors(origin, grab),
+    position: origin.clone(),
+    plane: null,
+    active: false
+  };
+  if (mode.kind === "plane") {
+    const normal = mode.normal ? mode.normal.clone() : cell.focusedCamera.getWorldDirection(new THREE.Vector3()).negate();
+    drag.plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, grab);
+  }
+  return drag;
+}
+function isDescendantOf(object, ancestor) {
+  for (let node = object; node; node = node.parent) {
+    if (node === ancestor) return true;
+  }
+  return false;
+}
+function isInstancePlaceholder(object) {
+  for (let node = object.parent; node; node = node.parent) {
+    const instancer = node.userData && node.userData._instancer;
+    if (instancer && instancer.members.has(object)) return true;
+  }
+  return false;
+}
+function isDragSurfaceHit(hit, drag) {
+  for (let node = hit.object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  if (isDescendantOf(hit.object, drag.object) || isInstancePlaceholder(hit.object)) return false;
+  const batch = instanceBatches.get(hit.object);
+  if (batch) {
+    const member = batch.list[hit.instanceId];
+    return !!member && !isDescendantOf(member, drag.object);
+  }
+  return true;
+}
+function solveDragPosition(cell, drag) {
+  const ray = raycaster.ray;
+  if (drag.mode.kind === "plane") {
+    if (!ray.intersectPlane(drag.plane, dragPoint)) return null;
+    return dragPoint.add(drag.offset);
+  }
+  if (drag.mode.kind === "axis") {
+    const reach = drag.mode.axis.clone().multiplyScalar(DRAG_AXIS_REACH);
+    ray.distanceSqToSegment(drag.grab.clone().sub(reach), drag.grab.clone().add(reach), null, dragPoint);
+    return dragPoint.add(drag.offset);
+  }
+  dragRaycaster.ray.copy(ray);
+  dragRaycaster.camera = cell.focusedCamera;
+  const hit = dragRaycaster.intersectObjects(cell.loadedScene.children, true).find((h) => isDragSurfaceHit(h, drag));
+  return hit ? dragPoint.copy(hit.point).add(drag.offset) : null;
+}
+function moveDraggedConvict(drag, worldPosition) {
+  const object = drag.object;
+  const local = object.parent ? object.parent.worldToLocal(worldPosition.clone()) : worldPosition.clone();
+  const round = (n) => +n.toFixed(4);
+  object.position.copy(local);
+  drag.position.copy(worldPosition);
+  object.userData.domEl.style.setProperty("--position", `(${round(local.x)}, ${round(local.y)}, ${round(local.z)})`);
+  invalidateConvictCell(object);
+}
+function makeDragEvent(type, domEvt, cell, drag) {
+  const synth = makeCellEvent(type, domEvt, cell, drag.object, drag.position.clone());
+  synth.startPosition = drag.origin.clone();
+  return synth;
+}
+function updateConvictDrag(cell, state, domEvt) {
+  const drag = state.down.drag;
+  const position = solveDragPosition(cell, drag);
+  if (!position) return;
+  if (!drag.active) {
+    drag.active = true;
+    if (domEvt.pointerId !== void 0 && cell.cellElm.setPointerCapture) {
+      cell.cellElm.setPointerCapture(domEvt.pointerId);
+    }
+    dispatchCellEvent(makeDragEvent("celldragstart", domEvt, cell, drag));
+  }
+  moveDraggedConvict(drag, position);
+  dispatchCellEvent(makeDragEvent("celldrag", domEvt, cell, drag));
+}
+function releasePointerDown(cell, state, domEvt) {
+  const down = state.down;
+  if (!down) return;
+  state.down = null;
+  clearTimeout(down.timer);
+  if (down.drag && down.drag.active) {
+    cell._suppressClick = true;
+    dispatchCellEvent(makeDragEvent("celldragend", domEvt, cell, down.drag));
+  }
+  if (!isHeldByPointer(cell, down.object, (s) => s.down && s.down.object) && delFlag(down.object.userData.extraParams, ":active")) {
+    paintStateChange(down.object);
+  }
+}
+function releasePointer(cell, state, domEvt) {
+  cancelPendingPointerMove(state);
+  releasePointerDown(cell, state, domEvt);
+  setPointerHit(cell, state, domEvt, null, state.point);
+  cell._pointers.delete(state.pointerId);
+}
+const MIRROR_HIDDEN_STYLE = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  margin: "-1px",
+  padding: "0",
+  border: "0",
+  overflow: "hidden",
+  clipPath: "inset(50%)",
+  whiteSpace: "nowrap"
+};
+const mirrorItemConvicts = /* @__PURE__ */ new WeakMap();
+function isCellChromeNode(node) {
+  const el = node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+  return !!el && (el.nodeName === "CANVAS" || !!el.closest("[data-cell-mirror]"));
+}
+function isMirrorAttribute(name) {
+  return name.startsWith("aria-") || name === "role" || name === "tabindex" || name === "title" || name === "id";
+}
+function isMirroredConvict(elm) {
+  return elm.hasAttribute("aria-label") || elm.hasAttribute("role") || elm.hasAttribute("tabindex");
+}
+let mirrorTextCount = 0;
+function getConvictText(elm) {
+  return Array.from(elm.childNodes).filter((node) => node.nodeType === Node.TEXT_NODE).map((node) => node.textContent.trim()).filter(Boolean).join(" ");
+}
+function syncMirrorItem(item, elm) {
+  const mirrored = (name) => name.startsWith("aria-") || name === "role" || name === "tabindex";
+  Array.from(item.attributes).forEach((attr) => {
+    if (mirrored(attr.name) && !elm.hasAttribute(attr.name)) item.removeAttribute(attr.name);
+  });
+  Array.from(elm.attributes).forEach((attr) => {
+    if (mirrored(attr.name) && item.getAttribute(attr.name) !== attr.value) item.setAttribute(attr.name, attr.value);
+  });
+  let text = item.firstElementChild;
+  if (!text || !text.hasAttribute("data-mirror-text")) {
+    text = document.createElement("span");
+    text.setAttribute("data-mirror-text", "");
+    text.id = `cell-mirror-text-${++mirrorTextCount}`;
+    item.insertBefore(text, item.firstChild);
+  }
+  const content = getConvictText(elm);
+  if (text.textContent !== content) text.textContent = content;
+  const label = elm.getAttribute("aria-label") || elm.getAttribute("title") || content || elm.id;
+  if (label && !elm.hasAttribute("aria-label")) item.setAttribute("aria-label", label);
+  if (content && content !== label && !elm.hasAttribute("aria-describedby")) item.setAttribute("aria-describedby", text.id);
+  if (!elm.hasAttribute("role")) item.setAttribute("role", getMirrorRole(elm));
+}
+function getMirrorRole(elm) {
+  if (elm.hasAttribute("toggle")) return getToggleGroup(elm) ? "radio" : "checkbox";
+  return elm.hasAttribute("tabindex") ? "button" : "group";
+}
+function getFocusChain(object) {
+  const chain = [];
+  for (let node = object; node; node = node.parent) {
+    if (node.userData && node.userData.domEl) chain.push(node);
+  }
+  return chain;
+}
+function syncFocusWithin(previous, object) {
+  const before = getFocusChain(previous);
+  const after = getFocusChain(object);
+  before.forEach((node) => {
+    if (!after.includes(node) && delFlag(node.userData.extraParams, ":focus-within")) paintStateChange(node);
+  });
+  after.forEach((node) => {
+    if (addFlag(node.userData.extraParams, ":focus-within")) paintStateChange(node);
+  });
+}
+function focusConvict(cell, object, domEvt) {
+  const previous = cell._focusedConvict;
+  if (previous === object) return;
+  cell._focusedConvict = object;
+  syncFocusWithin(previous, object);
+  if (previous) {
+    const focusRemoved = delFlag(previous.userData.extraParams, ":focus");
+    dispatchCellEvent(makeCellEvent("cellblur", domEvt, cell, previous, previous.getWorldPosition(new THREE.Vector3())));
+    if (focusRemoved) paintStateChange(previous);
+  }
+  if (object) {
+    const focusAdded = addFlag(object.userData.extraParams, ":focus");
+    dispatchCellEvent(makeCellEvent("cellfocus", domEvt, cell, object, object.getWorldPosition(new THREE.Vector3())));
+    if (focusAdded) paintStateChange(object);
+  }
+}
+function getToggleGroup(elm) {
+  const value = (elm.getAttribute("toggle") || "").trim();
+  return value === "" || value === "true" ? "" : value;
+}
+function findToggleConvict(object) {
+  for (let node = object; node; node = node.parent) {
+    const domEl = node.userData && node.userData.domEl;
+    if (domEl && domEl.hasAttribute("toggle") && domEl.getAttribute("toggle") !== "false") return node;
+  }
+  return null;
+}
+function setConvictChecked(object, checked) {
+  const domEl = object.userData.domEl;
+  const changed = checked ? addFlag(object.userData.extraParams, ":checked") : delFlag(object.userData.extraParams, ":checked");
+  if (domEl.hasAttribute("checked") !== checked) domEl.toggleAttribute("checked", checked);
+  if (domEl.getAttribute("aria-checked") !== String(checked)) domEl.setAttribute("aria-checked", String(checked));
+  if (changed) paintStateChange(object);
+  return changed;
+}
+function toggleConvict(cell, hit, domEvt) {
+  const target = findToggleConvict(hit);
+  if (!target) return;
+  const group = getToggleGroup(target.userData.domEl);
+  const checked = !target.userData.extraParams.includes(":checked");
+  if (group && !checked) return;
+  const changed = [target];
+  if (group) {
+    getCellConvicts(cell).forEach((other) => {
+      const domEl = other.userData.domEl;
+      if (other === target || !domEl.hasAttribute("toggle") || getToggleGroup(domEl) !== group) return;
+      if (setConvictChecked(other, false)) changed.push(other);
+    });
+  }
+  setConvictChecked(target, checked);
+  changed.forEach((object) => {
+    const synth = makeCellEvent("cellchange", domEvt, cell, object, object.getWorldPosition(new THREE.Vector3()));
+    synth.checked = object.userData.extraParams.includes(":checked");
+    dispatchCellEvent(synth);
+  });
+}
+function clickConvict(cell, hit, point, domEvt) {
+  focusConvict(cell, hit, domEvt);
+  toggleConvict(cell, hit, domEvt);
+  dispatchCellEvent(makeCellEvent("cellclick", domEvt, cell, hit, point));
 }
-function _flushPendingPointerMove(cell) {
-  if (!(cell == null ? void 0 : cell._pointerMoveRaf) || !cell._pendingPointerMoveEvt) return;
-  cancelAnimationFrame(cell._pointerMoveRaf);
-  cell._pointerMoveRaf = 0;
-  const evt = cell._pendingPointerMoveEvt;
-  cell._pendingPointerMoveEvt = null;
-  _processPointerMove(evt, cell);
+function default_onCellKeyDown_method(domEvt, cell) {
+  const current = domEvt.target;
+  const items = Array.from(cell._mirrorEl.querySelectorAll("[data-mirror-item][tabindex]")).filter((item) => item.tabIndex >= 0);
+  const index = items.indexOf(current);
+  let next = null;
+  switch (domEvt.key) {
+    case "Enter":
+    case " ": {
+      const convict = mirrorItemConvicts.get(current);
+      if (!convict) return;
+      domEvt.preventDefault();
+      clickConvict(cell, convict, convict.getWorldPosition(new THREE.Vector3()), domEvt);
+      return;
+    }
+    case "ArrowDown":
+    case "ArrowRight":
+      next = items[(index + 1) % items.length];
+      break;
+    case "ArrowUp":
+    case "ArrowLeft":
+      next = items[(index - 1 + items.length) % items.length];
+      break;
+    case "Home":
+      next = items[0];
+      break;
+    case "End":
+      next = items[items.length - 1];
+      break;
+    default:
+      return;
+  }
+  if (!next) return;
+  domEvt.preventDefault();
+  next.focus();
 }
 function default_onCellClick_method(domEvt, cell) {
-  var _a;
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
-  if (!hit) return;
-  const focusChanged = addFlag(hit.userData.extraParams, ":focus");
-  const synth = {
-    type: "cellclick",
-    originalEvt: domEvt,
-    target3d: hit,
-    targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
-  };
-  (_a = hit.userData.domEl.onclick) == null ? void 0 : _a.call(hit.userData.domEl, synth);
-  if (focusChanged) paintSpecificMuse(hit);
+  if (cell._suppressClick) {
+    cell._suppressClick = false;
+    return;
+  }
+  const hitResult = _castPointer(domEvt, cell);
+  if (!hitResult) {
+    focusConvict(cell, null, domEvt);
+    return;
+  }
+  clickConvict(cell, hitResult.object, hitResult.point, domEvt);
 }
 function default_onCellPointerMove_method(domEvt, cell) {
   if (!cell.focusedCamera) return;
-  cell._pendingPointerMoveEvt = domEvt;
-  if (cell._pointerMoveRaf) return;
-  cell._pointerMoveRaf = requestAnimationFrame(() => {
-    const evt = cell._pendingPointerMoveEvt;
-    cell._pendingPointerMoveEvt = null;
-    cell._pointerMoveRaf = 0;
-    if (!evt || !cell._running) return;
+  const state = getPointerState(cell, domEvt);
+  trackPointerMovement(state, domEvt);
+  state.pendingEvt = domEvt;
+  if (state.raf) return;
+  state.raf = requestAnimationFrame(() => {
+    const evt = state.pendingEvt;
+    state.pendingEvt = null;
+    state.raf = 0;
+    if (!evt || !cell._running || cell._pointers.get(state.pointerId) !== state) return;
     _processPointerMove(evt, cell);
   });
 }
 function _processPointerMove(domEvt, cell) {
-  var _a, _b, _c, _d;
-  _raycast(domEvt, cell.focusedCamera, cell.cellElm);
-  const hitResult = raycaster.intersectObjects(cell.loadedScene.children, true)[0];
-  const lastHit = cell._last_cast_caught;
-  if (hitResult) {
-    const hitObject = hitResult.object;
-    let shouldRepaintCurrent = false;
-    if (hitObject !== lastHit) {
-      if (lastHit) {
-        const hoverRemoved = delFlag(lastHit.userData.extraParams, ":hover");
-        (_a = lastHit.userData.domEl.onmouseleave) == null ? void 0 : _a.call(lastHit.userData.domEl, {
-          type: "cellmouseleave",
-          originalEvt: domEvt,
-          target3d: lastHit,
-          targetCell: cell,
-          targetElement: lastHit.userData.domEl,
-          pointerPosition: cell._lastHitPosition
-        });
-        if (hoverRemoved) paintSpecificMuse(lastHit);
-      }
-      cell._last_cast_caught = hitObject;
-      (_b = hitObject.userData.domEl.onmouseenter) == null ? void 0 : _b.call(hitObject.userData.domEl, {
-        type: "cellmouseenter",
-        originalEvt: domEvt,
-        target3d: hitObject,
-        targetCell: cell,
-        targetElement: hitObject.userData.domEl,
-        pointerPosition: hitResult.point
-      });
-      shouldRepaintCurrent = true;
-    }
-    if (addFlag(hitObject.userData.extraParams, ":hover")) {
-      shouldRepaintCurrent = true;
-    }
-    cell._lastHitPosition = hitResult.point;
-    (_c = hitObject.userData.domEl.onmouseover) == null ? void 0 : _c.call(hitObject.userData.domEl, {
-      type: "cellhover",
-      originalEvt: domEvt,
-      target3d: hitObject,
-      targetCell: cell,
-      targetElement: hitObject.userData.domEl,
-      pointerPosition: hitResult.point
-    });
-    if (shouldRepaintCurrent) paintSpecificMuse(hitObject);
-  } else if (lastHit) {
-    const hoverRemoved = delFlag(lastHit.userData.extraParams, ":hover");
-    (_d = lastHit.userData.domEl.onmouseleave) == null ? void 0 : _d.call(lastHit.userData.domEl, {
-      type: "cellmouseleave",
-      originalEvt: domEvt,
-      target3d: lastHit,
-      targetCell: cell,
-      targetElement: lastHit.userData.domEl,
-      pointerPosition: cell._lastHitPosition
-    });
-    if (hoverRemoved) paintSpecificMuse(lastHit);
-    cell._last_cast_caught = null;
+  const state = getPointerState(cell, domEvt);
+  const hitResult = _castPointer(domEvt, cell);
+  setPointerHit(cell, state, domEvt, hitResult ? hitResult.object : null, hitResult ? hitResult.point : state.point);
+  if (state.down && state.down.drag && state.down.moved) {
+    updateConvictDrag(cell, state, domEvt);
   }
 }
 function default_onCellMouseDown_method(domEvt, cell) {
-  var _a;
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
+  const state = getPointerState(cell, domEvt);
+  cancelPendingPointerMove(state);
+  _processPointerMove(domEvt, cell);
+  releasePointerDown(cell, state, domEvt);
+  cell._suppressClick = false;
+  const hit = state.hit;
   if (!hit) return;
+  const point = state.point;
   const activeChanged = addFlag(hit.userData.extraParams, ":active");
-  const synth = {
-    type: "celldown",
-    originalEvt: domEvt,
-    target3d: hit,
-    targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
-  };
-  (_a = hit.userData.domEl.onmousedown) == null ? void 0 : _a.call(hit.userData.domEl, synth);
-  if (activeChanged) paintSpecificMuse(hit);
+  const down = state.down = { object: hit, x: domEvt.clientX, y: domEvt.clientY, moved: false, longPressed: false, timer: 0, drag: null };
+  const draggable = findDraggableConvict(hit);
+  if (draggable) down.drag = prepareConvictDrag(cell, draggable, point);
+  down.timer = setTimeout(() => {
+    if (state.down !== down || down.moved) return;
+    down.longPressed = true;
+    dispatchCellEvent(makeCellEvent("celllongpress", domEvt, cell, hit, point));
+  }, LONG_PRESS_MS);
+  dispatchCellEvent(makeCellEvent("celldown", domEvt, cell, hit, point));
+  if (activeChanged) paintStateChange(hit);
 }
 function default_onCellMouseUp_method(domEvt, cell) {
-  var _a;
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
-  if (!hit) return;
-  const activeChanged = delFlag(hit.userData.extraParams, ":active");
-  const synth = {
-    type: "cellup",
-    originalEvt: domEvt,
-    target3d: hit,
-    targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
-  };
-  (_a = hit.userData.domEl.onmouseup) == null ? void 0 : _a.call(hit.userData.domEl, synth);
-  if (activeChanged) paintSpecificMuse(hit);
+  const state = getPointerState(cell, domEvt);
+  cancelPendingPointerMove(state);
+  trackPointerMovement(state, domEvt);
+  _processPointerMove(domEvt, cell);
+  const down = state.down;
+  releasePointerDown(cell, state, domEvt);
+  const hit = state.hit;
+  if (hit) {
+    dispatchCellEvent(makeCellEvent("cellup", domEvt, cell, hit, state.point));
+    if (down && down.object === hit && !down.moved && !down.longPressed) {
+      dispatchCellEvent(makeCellEvent("celltap", domEvt, cell, hit, state.point));
+    }
+  }
+  if (state.pointerType !== "mouse") releasePointer(cell, state, domEvt);
+}
+function default_onCellPointerCancel_method(domEvt, cell) {
+  const state = cell._pointers.get(domEvt.pointerId ?? 1);
+  if (state) releasePointer(cell, state, domEvt);
 }
 function default_onCellDoubleClick_method(domEvt, cell) {
-  var _a;
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
-  if (!hit) return;
-  const focusChanged = addFlag(hit.userData.extraParams, ":focus");
-  const synth = {
-    type: "celldblclick",
-    originalEvt: domEvt,
-    target3d: hit,
-    targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
-  };
-  (_a = hit.userData.domEl.ondblclick) == null ? void 0 : _a.call(hit.userData.domEl, synth);
-  if (focusChanged) paintSpecificMuse(hit);
+  const hitResult = _castPointer(domEvt, cell);
+  if (!hitResult) {
+    focusConvict(cell, null, domEvt);
+    return;
+  }
+  const hit = hitResult.object;
+  focusConvict(cell, hit, domEvt);
+  dispatchCellEvent(makeCellEvent("celldblclick", domEvt, cell, hit, hitResult.point));
 }
 function default_onCellContextMenu_method(domEvt, cell) {
-  var _a;
-  _flushPendingPointerMove(cell);
-  const hit = cell._last_cast_caught;
-  if (!hit) return;
-  const synth = {
-    type: "cellcontextmenu",
-    originalEvt: domEvt,
-    target3d: hit,
-    targetCell: cell,
-    targetElement: hit.userData.domEl,
-    pointerPosition: cell._lastHitPosition
-  };
-  (_a = hit.userData.domEl.oncontextmenu) == null ? void 0 : _a.call(hit.userData.domEl, synth);
+  const hitResult = _castPointer(domEvt, cell);
+  if (!hitResult) return;
+  const hit = hitResult.object;
+  dispatchCellEvent(makeCellEvent("cellcontextmenu", domEvt, cell, hit, hitResult.point));
 }
 function _raycast(domEvt, camera, referenceEl) {
   if (!camera) return;
@@ -1192,6 +4262,162 @@ function _raycast(domEvt, camera, referenceEl) {
   );
   raycaster.setFromCamera(ndcPointer, camera);
 }
+const MIRROR_ATTRIBUTES = ["role", "tabindex", "title", "aria-label", "aria-labelledby", "aria-describedby", "aria-description", "aria-checked", "aria-pressed", "aria-selected", "aria-expanded", "aria-disabled", "aria-hidden", "aria-current"];
+const CELL_OBSERVED_ATTRIBUTES = ["style", "id", "class", "render", "pick", "pick-layers", "pick-line-threshold", "pick-point-threshold", "src", "type", "checked", ...MIRROR_ATTRIBUTES];
+const PICK_MODES = ["raycast", "bvh", "bounds", "gpu"];
+const pickSphere = new THREE.Sphere();
+const pickPoint = new THREE.Vector3();
+const gpuPickPixel = new Uint8Array(4);
+const gpuPickClearColor = new THREE.Color();
+const gpuPickMaterials = [];
+let gpuPickTarget = null;
+let meshBVHLoad = null;
+let meshBVH = null;
+function ensureMeshBVH() {
+  if (!meshBVHLoad) {
+    meshBVHLoad = import("three-mesh-bvh").then((mod) => {
+      meshBVH = mod;
+      return mod;
+    }).catch((err) => console.error("Failed to load three-mesh-bvh, falling back to plain raycasting.", err));
+  }
+  return meshBVHLoad;
+}
+function collectPickCandidates(cell) {
+  const candidates = [];
+  cell.loadedScene.traverse((object) => {
+    if (object.layers.test(raycaster.layers)) candidates.push(object);
+  });
+  return candidates;
+}
+function nearestPickHit(hits) {
+  hits.sort((a, b) => a.distance - b.distance);
+  return hits[0] || null;
+}
+function pickByBVH(cell, candidates) {
+  if (!meshBVH) {
+    ensureMeshBVH();
+    return raycaster.intersectObjects(cell.loadedScene.children, true)[0] || null;
+  }
+  const hits = [];
+  raycaster.firstHitOnly = true;
+  candidates.forEach((object) => {
+    if (object.isMesh && !object.isSkinnedMesh && object.geometry) {
+      if (!object.geometry.boundsTree) meshBVH.computeBoundsTree.call(object.geometry);
+      meshBVH.acceleratedRaycast.call(object, raycaster, hits);
+    } else {
+      object.raycast(raycaster, hits);
+    }
+  });
+  raycaster.firstHitOnly = false;
+  return nearestPickHit(hits);
+}
+function pickByBounds(candidates) {
+  const hits = [];
+  candidates.forEach((object) => {
+    const geometry = object.geometry;
+    if (!(geometry == null ? void 0 : geometry.isBufferGeometry)) return;
+    if (object.isInstancedMesh || object.isSkinnedMesh) {
+      object.computeBoundingSphere();
+      pickSphere.copy(object.boundingSphere);
+    } else {
+      if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+      pickSphere.copy(geometry.boundingSphere);
+    }
+    pickSphere.applyMatrix4(object.matrixWorld);
+    if (!raycaster.ray.intersectSphere(pickSphere, pickPoint)) return;
+    hits.push({ object, point: pickPoint.clone(), distance: raycaster.ray.origin.distanceTo(pickPoint) });
+  });
+  return nearestPickHit(hits);
+}
+function pickByGPU(cell, candidates, domEvt) {
+  const renderer = cell.threeRenderer;
+  const camera = cell.focusedCamera;
+  const scene = cell.loadedScene;
+  const rect = cell.cellElm.getBoundingClientRect();
+  const dpr = renderer.getPixelRatio();
+  const width = Math.max(1, Math.floor(rect.width * dpr));
+  const height = Math.max(1, Math.floor(rect.height * dpr));
+  const x = Math.floor((domEvt.clientX - rect.left) * dpr);
+  const y = Math.floor((domEvt.clientY - rect.top) * dpr);
+  if (x < 0 || y < 0 || x >= width || y >= height) return null;
+  gpuPickTarget = gpuPickTarget || new THREE.WebGLRenderTarget(1, 1);
+  const meshes = [];
+  const hidden = [];
+  candidates.forEach((object) => {
+    if (object.isMesh) {
+      const id = meshes.length + 1;
+      const material = gpuPickMaterials[meshes.length] || (gpuPickMaterials[meshes.length] = new THREE.MeshBasicMaterial());
+      material.color.setRGB((id >> 16 & 255) / 255, (id >> 8 & 255) / 255, (id & 255) / 255);
+      material.side = Array.isArray(object.material) ? THREE.DoubleSide : object.material.side;
+      meshes.push({ object, material: object.material });
+      object.material = material;
+    } else if (object.visible && (object.isPoints || object.isLine || object.isSprite)) {
+      hidden.push(object);
+      object.visible = false;
+    }
+  });
+  const state = {
+    target: renderer.getRenderTarget(),
+    clearAlpha: renderer.getClearAlpha(),
+    shadowAutoUpdate: renderer.shadowMap.autoUpdate,
+    background: scene.background,
+    fog: scene.fog,
+    layers: camera.layers.mask,
+    view: camera.view && camera.view.enabled ? { ...camera.view } : null
+  };
+  renderer.getClearColor(gpuPickClearColor);
+  renderer.shadowMap.autoUpdate = false;
+  scene.background = null;
+  scene.fog = null;
+  camera.layers.mask = raycaster.layers.mask;
+  camera.setViewOffset(width, height, x, y, 1, 1);
+  renderer.setRenderTarget(gpuPickTarget);
+  renderer.setClearColor(0, 0);
+  renderer.clear();
+  renderer.render(scene, camera);
+  renderer.readRenderTargetPixels(gpuPickTarget, 0, 0, 1, 1, gpuPickPixel);
+  renderer.setRenderTarget(state.target);
+  renderer.setClearColor(gpuPickClearColor, state.clearAlpha);
+  renderer.shadowMap.autoUpdate = state.shadowAutoUpdate;
+  scene.background = state.background;
+  scene.fog = state.fog;
+  camera.layers.mask = state.layers;
+  if (state.view) {
+    camera.setViewOffset(state.view.fullWidth, state.view.fullHeight, state.view.offsetX, state.view.offsetY, state.view.width, state.view.height);
+  } else {
+    camera.clearViewOffset();
+  }
+  meshes.forEach((entry) => {
+    entry.object.material = entry.material;
+  });
+  const hits = [];
+  hidden.forEach((object) => {
+    object.visible = true;
+    object.raycast(raycaster, hits);
+  });
+  const id = gpuPickPixel[0] << 16 | gpuPickPixel[1] << 8 | gpuPickPixel[2];
+  const entry = id ? meshes[id - 1] : null;
+  if (entry) {
+    const meshHits = [];
+    entry.object.raycast(raycaster, meshHits);
+    const point = meshHits.length ? null : entry.object.getWorldPosition(new THREE.Vector3());
+    hits.push(nearestPickHit(meshHits) || { object: entry.object, point, distance: raycaster.ray.origin.distanceTo(point) });
+  }
+  return nearestPickHit(hits);
+}
+function pickCellObject(cell, domEvt) {
+  const options = cell.pickOptions;
+  raycaster.layers.mask = options.layers.mask;
+  raycaster.params.Line.threshold = options.lineThreshold;
+  raycaster.params.Points.threshold = options.pointThreshold;
+  if (options.mode === "raycast") {
+    return raycaster.intersectObjects(cell.loadedScene.children, true)[0] || null;
+  }
+  const candidates = collectPickCandidates(cell);
+  if (options.mode === "bounds") return pickByBounds(candidates);
+  if (options.mode === "gpu") return pickByGPU(cell, candidates, domEvt);
+  return pickByBVH(cell, candidates);
+}
 const _Cell = class _Cell {
   /**
    * Retrieve an existing Cell for a <cell> element.
@@ -1211,7 +4437,10 @@ const _Cell = class _Cell {
    * @param {THREE.WebGLRenderer} renderer
    * @param {THREE.Scene} scene
    * @param {THREE.Camera|null} [camera=null]
-   * @param {Function|null} [_MainAnimMethod=null]
+   * @param {Function|null} [_MainAnimMethod=null] Replaces the default per-frame
+   *   update and render. The cell schedules frames itself, so it must not call
+   *   requestAnimationFrame; with render="on-demand" it runs after an invalidation
+   *   and keeps the loop going while it returns true.
    */
   constructor(cellElm, renderer, scene, camera = null, _MainAnimMethod = null) {
     this.cellElm = cellElm;
@@ -1230,10 +4459,33 @@ const _Cell = class _Cell {
     this.updateFunds = [];
     this._observedStyleElements = /* @__PURE__ */ new WeakSet();
     this._pendingStyleRepaint = false;
-    this._pointerMoveRaf = 0;
-    this._pendingPointerMoveEvt = null;
+    this._styleCache = createStyleCache();
+    const initialRect = cellElm.getBoundingClientRect();
+    this._containerSize = { width: initialRect.width, height: initialRect.height };
+    this._pointers = /* @__PURE__ */ new Map();
     this._last_cast_caught = null;
     this._lastHitPosition = null;
+    this._renderSettingProps = /* @__PURE__ */ new Set();
+    this._renderDefaults = /* @__PURE__ */ new Map();
+    this._settingTokens = /* @__PURE__ */ Object.create(null);
+    this._pmremGenerator = null;
+    this._pmremTargets = /* @__PURE__ */ new Map();
+    this._mixers = /* @__PURE__ */ new Set();
+    this._mixerClock = new THREE.Clock();
+    this.renderMode = getCellRenderMode(cellElm);
+    this.pickOptions = getCellPickOptions(cellElm);
+    this._needsRender = true;
+    this._frameRequested = false;
+    this._paused = false;
+    this._instancers = /* @__PURE__ */ new Set();
+    this._passConvicts = /* @__PURE__ */ new Set();
+    this._postprocessSpec = [];
+    this._postprocessEntries = null;
+    this._postprocessKey = "";
+    this._settingsHost = null;
+    this._postprocessPasses = [];
+    this._composer = null;
+    this._pendingAssets = /* @__PURE__ */ new Set();
     _Cell.allCells.set(cellElm, this);
     this._ScanCell();
     this._boundPointerMove = (evt) => {
@@ -1242,12 +4494,15 @@ const _Cell = class _Cell {
     this._boundClick = (evt) => {
       default_onCellClick_method(evt, this);
     };
-    this._boundMouseDown = (evt) => {
+    this._boundPointerDown = (evt) => {
       default_onCellMouseDown_method(evt, this);
     };
-    this._boundMouseUp = (evt) => {
+    this._boundPointerUp = (evt) => {
       default_onCellMouseUp_method(evt, this);
     };
+    this._boundPointerCancel = (evt) => {
+      default_onCellPointerCancel_method(evt, this);
+    };
     this._boundDoubleClick = (evt) => {
       default_onCellDoubleClick_method(evt, this);
     };
@@ -1255,24 +4510,22 @@ const _Cell = class _Cell {
       evt.preventDefault();
       default_onCellContextMenu_method(evt, this);
     };
-    cellElm.addEventListener("mousemove", this._boundPointerMove);
+    cellElm.addEventListener("pointermove", this._boundPointerMove);
+    cellElm.addEventListener("pointerdown", this._boundPointerDown);
+    cellElm.addEventListener("pointerup", this._boundPointerUp);
+    cellElm.addEventListener("pointercancel", this._boundPointerCancel);
+    cellElm.addEventListener("pointerleave", this._boundPointerCancel);
     cellElm.addEventListener("click", this._boundClick);
-    cellElm.addEventListener("mousedown", this._boundMouseDown);
-    cellElm.addEventListener("mouseup", this._boundMouseUp);
     cellElm.addEventListener("dblclick", this._boundDoubleClick);
     cellElm.addEventListener("contextmenu", this._boundContextMenu);
-    gatherAssetRules();
+    gatherAssetRules(this);
     paintCell(this);
-    this._styleElemObserver = new MutationObserver(() => {
-      if (this._pendingStyleRepaint) return;
-      markGlobalStyleCacheDirty();
-      this._pendingStyleRepaint = true;
-      requestAnimationFrame(() => {
-        this._pendingStyleRepaint = false;
-        gatherAssetRules();
-        paintCell(this);
-        this._repaintKnownConvicts();
+    this._styleElemObserver = new MutationObserver((mutationList) => {
+      mutationList.forEach((mutation) => {
+        const target = mutation.target;
+        this._invalidateStyleSource(target.nodeName === "STYLE" ? target : target.parentNode);
       });
+      this._scheduleFullRepaint();
     });
     this._observeStyleElements = (root) => {
       if (!root) return;
@@ -1325,78 +4578,144 @@ const _Cell = class _Cell {
     }
     this._styleObserver = new MutationObserver((mutationList) => {
       mutationList.forEach((mutation) => {
-        if (mutation.target.nodeName === "CANVAS") return;
+        if (isCellChromeNode(mutation.target)) return;
         switch (mutation.type) {
+          case "characterData": {
+            const host = mutation.target.parentElement;
+            if (host && host.convict && host.convict.isText3D) {
+              host.convict.text = host.textContent;
+            }
+            this._scheduleMirrorSync();
+            break;
+          }
           case "childList": {
+            if (mutation.target.convict && mutation.target.convict.isText3D) {
+              mutation.target.convict.text = mutation.target.textContent;
+            }
             for (let i = 0; i < mutation.addedNodes.length; i++) {
               const node = mutation.addedNodes[i];
-              if (node.nodeType === Node.ELEMENT_NODE && node.nodeName !== "CANVAS") {
+              if (node.nodeType === Node.ELEMENT_NODE && !isCellChromeNode(node)) {
                 if (node.nodeName === "STYLE") {
                   this._observeStyleElements(node);
-                  markGlobalStyleCacheDirty();
+                  this._invalidateStyleSource(node);
                   this._scheduleFullRepaint();
                 } else {
+                  if (typeof node.querySelector === "function" && node.querySelector("style")) {
+                    this._observeStyleElements(node);
+                    this._invalidateStyleSource(node);
+                    this._scheduleFullRepaint();
+                  }
                   this.ScanElement(node);
                   const convict = this.getConvictByDom(node);
                   if (convict) {
-                    paintSpecificMuse(convict);
+                    paintConvictTree(convict);
                   }
                 }
               }
             }
             for (let i = 0; i < mutation.removedNodes.length; i++) {
               const node = mutation.removedNodes[i];
-              if (node.nodeType === Node.ELEMENT_NODE && node.nodeName !== "CANVAS") {
+              if (node.nodeType === Node.ELEMENT_NODE && node.nodeName !== "CANVAS" && !node.hasAttribute("data-cell-mirror")) {
                 if (node.nodeName === "STYLE" || typeof node.querySelector === "function" && node.querySelector("style")) {
-                  markGlobalStyleCacheDirty();
+                  this._invalidateStyleSource(node);
                   this._scheduleFullRepaint();
                 }
                 this.removeConvict(this._allConvictsByDom.get(node));
               }
             }
+            this._scheduleMirrorSync();
             break;
           }
           case "attributes": {
             const target = mutation.target;
+            if (isMirrorAttribute(mutation.attributeName)) {
+              this._scheduleMirrorSync();
+            }
+            if (target === this.cellElm) {
+              if (mutation.attributeName === "style") {
+                applyCellRenderSettings(this);
+              } else if (mutation.attributeName === "render") {
+                this.renderMode = getCellRenderMode(this.cellElm);
+                this.invalidate();
+              } else if (mutation.attributeName.startsWith("pick")) {
+                this.pickOptions = getCellPickOptions(this.cellElm);
+              } else {
+                this._scheduleFullRepaint();
+              }
+              break;
+            }
             const convict = target.convict;
             if (!convict) break;
-            if (mutation.attributeName === "id") {
-              this._syncConvictIdentity(convict, target);
-              paintSpecificMuse(convict);
-            } else if (mutation.attributeName === "class") {
+            if (mutation.attributeName === "id" || mutation.attributeName === "class") {
               this._syncConvictIdentity(convict, target);
-              paintSpecificMuse(convict);
+              paintConvictTree(convict);
             } else if (mutation.attributeName === "style") {
               paintConvict(target, this);
+            } else if (mutation.attributeName === "src" && target.tagName === "MODEL") {
+              mountConvictModel(convict, target.getAttribute("src") || "none", null);
+            } else if (mutation.attributeName === "type" && convict.isPostPass) {
+              preparePostPass(convict, target.getAttribute("type"));
+              this._postprocessEntries = null;
+            } else if (mutation.attributeName === "src" && convict.isSVGShape) {
+              mountConvictSVG(convict, target.getAttribute("src"));
+            } else if (mutation.attributeName === "checked" && target.hasAttribute("toggle")) {
+              setConvictChecked(convict, target.hasAttribute("checked"));
+            } else if (mutation.attributeName === "aria-checked") {
+              break;
+            } else if (CELL_HANDLER_ATTRIBUTES.includes(mutation.attributeName) || getStyleCache(this).cascadeAttributes.includes(mutation.attributeName)) {
+              paintConvictTree(convict);
             }
             break;
           }
         }
       });
     });
-    this._styleObserver.observe(this.cellElm, {
-      attributes: true,
-      childList: true,
-      attributeFilter: ["style", "id", "class"],
-      subtree: true
-    });
+    this._observeCellMutations();
     this._running = true;
-    this._anim = _MainAnimMethod ? _MainAnimMethod.bind(this) : () => {
+    const customFrame = _MainAnimMethod ? _MainAnimMethod.bind(this) : null;
+    this._anim = () => {
+      this._frameRequested = false;
       if (!this._running) return;
-      this.updateFunds.forEach((update) => update());
-      requestAnimationFrame(this._anim);
-      if (this.focusedCamera) {
+      if (customFrame) {
+        if (this.renderMode === "on-demand" && this._paused) return;
+        this._needsRender = false;
+        if (customFrame() || this.renderMode !== "on-demand") this._requestFrame();
+        return;
+      }
+      if (this.renderMode === "on-demand") {
+        if (this._paused) return;
+        let changed = false;
+        this.updateFunds.forEach((update) => {
+          if (update()) changed = true;
+        });
+        if (!changed && !this._needsRender) return;
+        this._needsRender = false;
+        this._requestFrame();
+      } else {
+        this.updateFunds.forEach((update) => update());
+        this._requestFrame();
+      }
+      if (this.focusedCamera && this._composer) {
+        this._composer.passes[0].camera = this.focusedCamera;
+        this._composer.render();
+      } else if (this.focusedCamera) {
         this.threeRenderer.render(this.loadedScene, this.focusedCamera);
       }
     };
     this._resizeObserver = new ResizeObserver((entries) => {
       for (const e of entries) {
         const { width, height } = e.contentRect;
+        this._containerSize = { width, height };
+        this._checkContainerQueries();
         const dpr = window.devicePixelRatio || 1;
         this.threeRenderer.setPixelRatio(dpr);
         const safeWidth = Math.max(width, 1);
         const safeHeight = Math.max(height, 1);
         this.threeRenderer.setSize(safeWidth, safeHeight, false);
+        if (this._composer) {
+          this._composer.setPixelRatio(dpr);
+          this._composer.setSize(safeWidth, safeHeight);
+        }
         if (this.focusedCamera && this.focusedCamera.isPerspectiveCamera) {
           this.focusedCamera.aspect = safeWidth / safeHeight;
         }
@@ -1404,35 +4723,295 @@ const _Cell = class _Cell {
           this.focusedCamera.updateProjectionMatrix();
         }
       }
+      this.invalidate();
     });
     this._resizeObserver.observe(this.cellElm);
+    this._inViewport = true;
+    this._visibilityObserver = new IntersectionObserver((entries) => {
+      this._inViewport = entries[entries.length - 1].isIntersecting;
+      this._syncPaused();
+    });
+    this._visibilityObserver.observe(this.cellElm);
+    this._boundVisibilityChange = () => this._syncPaused();
+    document.addEventListener("visibilitychange", this._boundVisibilityChange);
+    this._boundStyleEnvironmentChange = () => {
+      this._scheduleFullRepaint();
+    };
+    styleEnvironmentListeners.add(this._boundStyleEnvironmentChange);
+    this._focusedConvict = null;
+    this._pendingMirrorSync = false;
+    this._mirrorEl = document.createElement("div");
+    this._mirrorEl.setAttribute("data-cell-mirror", "");
+    this._mirrorEl.setAttribute("role", "group");
+    Object.assign(this._mirrorEl.style, MIRROR_HIDDEN_STYLE);
+    this._mirrorEl.addEventListener("focusin", (evt) => {
+      const convict = mirrorItemConvicts.get(evt.target);
+      if (convict) focusConvict(this, convict, evt);
+    });
+    this._mirrorEl.addEventListener("focusout", (evt) => {
+      if (!this._mirrorEl.contains(evt.relatedTarget)) focusConvict(this, null, evt);
+    });
+    this._mirrorEl.addEventListener("keydown", (evt) => {
+      default_onCellKeyDown_method(evt, this);
+    });
+    cellElm.appendChild(this._mirrorEl);
+    this._syncAccessibleMirror();
+    this.addUpdateFunction(this._updateMixers);
+    this.addUpdateFunction(this._updateInstancers);
+    this.addUpdateFunction(this._updatePostprocess);
     this._anim();
   }
+  /**
+   * Queue the next frame of the render loop unless one is already pending.
+   *
+   * @private
+   */
+  _requestFrame() {
+    if (this._frameRequested || !this._running) return;
+    this._frameRequested = true;
+    requestAnimationFrame(this._anim);
+  }
+  /**
+   * Pause an on-demand cell while it is scrolled off-screen or its tab is hidden,
+   * catching up with a fresh frame once it shows again.
+   *
+   * @private
+   */
+  _syncPaused() {
+    const paused = !this._inViewport || document.hidden;
+    if (paused === this._paused) return;
+    this._paused = paused;
+    if (!paused) this.invalidate();
+  }
+  /**
+   * Mark the cell as needing a new frame. Cells with render="on-demand" only
+   * draw after an invalidation (or an update function returning true); call this
+   * after changing the scene from outside the library.
+   */
+  invalidate() {
+    this._needsRender = true;
+    this._requestFrame();
+  }
+  /**
+   * Coalesce accessible-mirror rebuilds into the next animation frame.
+   *
+   * @private
+   */
+  _scheduleMirrorSync() {
+    if (this._pendingMirrorSync) return;
+    this._pendingMirrorSync = true;
+    requestAnimationFrame(() => {
+      this._pendingMirrorSync = false;
+      if (this._running) this._syncAccessibleMirror();
+    });
+  }
+  /**
+   * Rebuild the offscreen accessible mirror: one element per convict carrying an
+   * aria-label, role or tabindex, nested like the convict tree and holding the
+   * convict's own text as its description. Focus and
+   * Enter/Space on these elements drive the convicts' :focus state and click path.
+   *
+   * @private
+   */
+  _syncAccessibleMirror() {
+    const mirror = this._mirrorEl;
+    const focused = mirror.contains(document.activeElement) ? document.activeElement : null;
+    const used = /* @__PURE__ */ new Set();
+    const counts = /* @__PURE__ */ new Map();
+    mirror.setAttribute("aria-label", this.cellElm.getAttribute("aria-label") || "3D scene");
+    const visit = (elm, parentItem) => {
+      for (const child of elm.children) {
+        if (isCellChromeNode(child) || child.getAttribute("aria-hidden") === "true") continue;
+        const convict = this.getConvictByDom(child);
+        let item = parentItem;
+        if (convict && isMirroredConvict(child)) {
+          item = convict.userData._mirrorEl;
+          if (!item) {
+            item = convict.userData._mirrorEl = document.createElement("div");
+            item.setAttribute("data-mirror-item", "");
+            mirrorItemConvicts.set(item, convict);
+          }
+          syncMirrorItem(item, child);
+          const index = counts.get(parentItem) ?? (parentItem === mirror ? 0 : 1);
+          counts.set(parentItem, index + 1);
+          if (parentItem.children[index] !== item) {
+            parentItem.insertBefore(item, parentItem.children[index] || null);
+          }
+          used.add(item);
+        }
+        visit(child, item);
+      }
+    };
+    visit(this.cellElm, mirror);
+    mirror.querySelectorAll("[data-mirror-item]").forEach((item) => {
+      if (!used.has(item)) item.remove();
+    });
+    if (focused && used.has(focused) && document.activeElement !== focused) {
+      focused.focus({ preventScroll: true });
+    }
+  }
   _scheduleFullRepaint() {
     if (this._pendingStyleRepaint) return;
     this._pendingStyleRepaint = true;
     requestAnimationFrame(() => {
       this._pendingStyleRepaint = false;
-      gatherAssetRules();
+      gatherAssetRules(this);
       paintCell(this);
-      this._repaintKnownConvicts();
+      this._observeCellMutations();
     });
   }
-  _repaintKnownConvicts() {
-    const visited = /* @__PURE__ */ new Set();
-    for (const convict of this.classyConvicts) {
-      if (!visited.has(convict)) {
-        visited.add(convict);
-        paintSpecificMuse(convict);
-      }
+  /**
+   * (Re)start the cell mutation observer, watching only the attributes the
+   * handlers act on plus any the cascade's attribute selectors reference.
+   *
+   * @private
+   */
+  _observeCellMutations() {
+    getCascadeRuleIndex(this);
+    const attributes = [.../* @__PURE__ */ new Set([...CELL_OBSERVED_ATTRIBUTES, ...CELL_HANDLER_ATTRIBUTES, ...getStyleCache(this).cascadeAttributes])];
+    const key = attributes.join(" ");
+    if (this._observedAttributesKey === key) return;
+    this._observedAttributesKey = key;
+    this._styleObserver.observe(this.cellElm, {
+      attributes: true,
+      attributeFilter: attributes,
+      characterData: true,
+      childList: true,
+      subtree: true
+    });
+  }
+  /**
+   * Invalidate the style caches a changed <style> (or subtree holding styles) feeds.
+   * Scoped styles only dirty this cell; anything else dirties every cell.
+   *
+   * @param {Node|null} node
+   * @private
+   */
+  _invalidateStyleSource(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) {
+      markGlobalStyleCacheDirty();
+      return;
+    }
+    const styles = node.nodeName === "STYLE" ? [node] : Array.from(node.querySelectorAll("style"));
+    if (styles.length && styles.every((styleEl) => styleEl.hasAttribute("scoped"))) {
+      this.markStyleCacheDirty();
+    } else {
+      markGlobalStyleCacheDirty();
     }
-    for (const convict of this.namedConvicts) {
-      if (!visited.has(convict)) {
-        visited.add(convict);
-        paintSpecificMuse(convict);
+  }
+  /**
+   * Re-evaluate the @container rules this cell matched against its current size,
+   * repainting when any of them flipped.
+   *
+   * @private
+   */
+  _checkContainerQueries() {
+    const checks = this._styleCache.containerChecks;
+    for (const [rule, matched] of checks) {
+      if (containerRuleAppliesToCell(rule, this) !== matched) {
+        checks.clear();
+        this.markStyleCacheDirty();
+        this._scheduleFullRepaint();
+        return;
       }
     }
   }
+  /**
+   * Advance the AnimationMixers of every mounted --model in this cell.
+   *
+   * @private
+   */
+  _updateMixers() {
+    const delta = Math.min(this._mixerClock.getDelta(), MAX_MIXER_DELTA);
+    let playing = false;
+    this._mixers.forEach((mixer) => {
+      mixer.update(delta);
+      if (mixer.stats.actions.inUse > 0) playing = true;
+    });
+    return playing;
+  }
+  /**
+   * Copy the transforms and colors of batched convicts into their InstancedMeshes.
+   *
+   * @private
+   */
+  _updateInstancers() {
+    let changed = false;
+    this._instancers.forEach((instancer) => {
+      if (instancer.update()) changed = true;
+    });
+    return changed;
+  }
+  /**
+   * Rebuild the EffectComposer when the --postprocess / <pass> chain changes and
+   * push the current pass parameters into it.
+   *
+   * @private
+   */
+  _updatePostprocess() {
+    const entries = this._postprocessEntries || (this._postprocessEntries = getCellPostprocessEntries(this));
+    const key = entries.map((entry) => entry.type).join(" ");
+    if (key !== this._postprocessKey) {
+      this._postprocessKey = key;
+      buildCellComposer(this, entries.map((entry) => entry.type));
+    }
+    syncCellPostprocess(this, entries);
+  }
+  /**
+   * Resolves with this cell once every asset its convicts requested (and any
+   * stylesheet still being fetched for asset rules) has loaded or failed.
+   *
+   * @returns {Promise<Cell>}
+   */
+  get ready() {
+    const pending = [...this._pendingAssets, ...pendingStylesheetAssetParses];
+    if (!pending.length) return Promise.resolve(this);
+    return Promise.allSettled(pending).then(() => this.ready);
+  }
+  /**
+   * Start reporting progress for an asset load a convict of this cell waits on.
+   *
+   * @param {Object} record
+   * @param {Promise} pending
+   * @private
+   */
+  _trackAsset(record, pending) {
+    if (record.cells.has(this)) return;
+    record.cells.add(this);
+    this._pendingAssets.add(pending);
+    pending.finally(() => {
+      this._pendingAssets.delete(pending);
+    });
+  }
+  /**
+   * Dispatch assetprogress / assetload / asseterror on the <cell> element.
+   *
+   * @param {string} type
+   * @param {Object} record
+   * @private
+   */
+  _emitAssetEvent(type, record) {
+    this.cellElm.dispatchEvent(
+      new CustomEvent(type, {
+        detail: {
+          cell: this,
+          name: record.name,
+          url: record.url,
+          loaded: record.loaded,
+          total: record.total,
+          progress: record.status === "loaded" ? 1 : record.total ? record.loaded / record.total : null,
+          error: record.error
+        }
+      })
+    );
+  }
+  /**
+   * Drop this cell's cached selector, keyframe and scoped asset lookups.
+   * Other cells keep their caches.
+   */
+  markStyleCacheDirty() {
+    return markCellStyleCacheDirty(this);
+  }
   _normalizeClassList(input) {
     if (Array.isArray(input)) return input.filter(Boolean).map(String);
     if (typeof input === "string") return input.split(/\s+/).filter(Boolean);
@@ -1531,7 +5110,7 @@ const _Cell = class _Cell {
    * @param {HTMLElement} elm
    */
   ScanElement(elm) {
-    if (this._allConvictsByDom.has(elm)) return;
+    if (this._allConvictsByDom.has(elm) || isCellChromeNode(elm)) return;
     const parentObj = this.getConvictByDom(elm.parentElement) || this.loadedScene;
     const instance = this.ConvertDomToObject(elm);
     if (instance === null) {
@@ -1577,24 +5156,90 @@ const _Cell = class _Cell {
         this.focusedCamera.updateProjectionMatrix();
       }
     }
+    parentObj.add(instance);
+    this._registerConvict(instance, elm);
+    for (let i = 0; i < elm.children.length; i++) {
+      this.ScanElement(elm.children[i]);
+    }
+    if (elm.tagName === "MODEL" && elm.hasAttribute("src")) {
+      mountConvictModel(instance, elm.getAttribute("src"), null);
+    }
+    if (instance.isPostPass) {
+      preparePostPass(instance, elm.getAttribute("type"));
+      this._passConvicts.add(instance);
+      this._postprocessEntries = null;
+    }
+    if (instance.isInstancedGroup) {
+      setConvictInstancing(instance, "auto");
+    }
+    if (instance.isText3D) {
+      instance.text = elm.textContent;
+    }
+    if (instance.isSVGShape && elm.hasAttribute("src")) {
+      mountConvictSVG(instance, elm.getAttribute("src"));
+    }
+    if (elm.hasAttribute("toggle")) {
+      if (elm.hasAttribute("checked")) addFlag(instance.userData.extraParams, ":checked");
+      elm.setAttribute("aria-checked", String(elm.hasAttribute("checked")));
+    }
+  }
+  /**
+   * Bind an existing object to its element and index it by id/class. Cell
+   * event listeners and the property-only ontap/onlongpress handlers added to
+   * the element later keep the convict pickable.
+   *
+   * @param {THREE.Object3D} instance
+   * @param {HTMLElement} elm
+   * @private
+   */
+  _registerConvict(instance, elm) {
     instance.userData.domEl = elm;
     instance.userData.extraParams = [];
     instance.userData.domId = "";
     instance.userData.classList = [];
     instance.transition = null;
     this._ensureConvictClassAlias(instance);
-    parentObj.add(instance);
     this._allConvictsByDom.set(elm, instance);
     this._syncConvictIdentity(instance, elm);
-    for (let i = 0; i < elm.children.length; i++) {
-      this.ScanElement(elm.children[i]);
-    }
     if (!Object.prototype.hasOwnProperty.call(elm, "convict")) {
       Object.defineProperty(elm, "convict", {
-        value: this.getConvictByDom(elm),
+        value: instance,
         enumerable: false
       });
     }
+    trackConvictHandlers(elm);
+    Object.keys(CELL_EVENT_HANDLERS).forEach((type) => elm.addEventListener(type, bridgeCellEventHandler));
+  }
+  /**
+   * Expose the named nodes of a mounted --model as sub-convicts. Each gets a
+   * generated element (tag from its type, class from its name) nested like the
+   * model, so selectors such as `#ship .engine` reach it.
+   *
+   * @param {THREE.Object3D} owner
+   * @param {THREE.Object3D} model
+   * @returns {Array<THREE.Object3D>}
+   * @private
+   */
+  _adoptModelTree(owner, model) {
+    const adopted = [];
+    const roots = [];
+    const visit = (node, parentEl) => {
+      let childParentEl = parentEl;
+      if (node !== model && node.name) {
+        const elm = document.createElement(node.type.toLowerCase());
+        elm.className = node.name.replace(/[^\w-]/g, "_");
+        elm.setAttribute("data-model-node", node.name);
+        this._registerConvict(node, elm);
+        if (parentEl) parentEl.appendChild(elm);
+        else roots.push(elm);
+        adopted.push(node);
+        childParentEl = elm;
+      }
+      node.children.forEach((child) => visit(child, childParentEl));
+    };
+    visit(model, null);
+    roots.forEach((elm) => owner.userData.domEl.appendChild(elm));
+    return adopted;
   }
   /**
    * Tag → THREE.Object3D constructor.
@@ -1603,7 +5248,8 @@ const _Cell = class _Cell {
    * @returns {THREE.Object3D|null}
    */
   ConvertDomToObject(elm) {
-    if (elm.tagName === "CANVAS") return null;
+    if (elm.tagName === "CANVAS" || elm.tagName === "STYLE") return null;
+    if (elm.tagName === "MODEL") return new THREE.Group();
     const key = elm.tagName.replace(/-/g, "");
     const Ctor = getClassMap()[key];
     if (!Ctor) {
@@ -1620,6 +5266,15 @@ const _Cell = class _Cell {
   removeConvict(convict) {
     var _a, _b;
     if (!convict) return;
+    markInstancerDirty(convict);
+    if (convict.userData._instancer) {
+      setConvictInstancing(convict, "none");
+    }
+    if (this._passConvicts.delete(convict)) this._postprocessEntries = null;
+    if (this._focusedConvict === convict) {
+      syncFocusWithin(convict, null);
+      this._focusedConvict = null;
+    }
     convict.children.slice().forEach((child) => {
       var _a2;
       const domNode = (_a2 = child.userData) == null ? void 0 : _a2.domEl;
@@ -1637,11 +5292,17 @@ const _Cell = class _Cell {
     for (const cls of classes) {
       this._removeClassIndex(convict, cls);
     }
+    if (convict.userData._model) {
+      unmountConvictModel(convict);
+    }
+    releaseConvictResources(convict);
     this.classyConvicts.delete(convict);
     this.namedConvicts.delete(convict);
     if (convict.userData.domEl) {
-      this._allConvictsByDom.delete(convict.userData.domEl);
-      convict.userData.domEl.remove();
+      const domEl = convict.userData.domEl;
+      unbridgeCellEvents(domEl);
+      this._allConvictsByDom.delete(domEl);
+      domEl.remove();
     }
     if (convict.parent) {
       convict.parent.remove(convict);
@@ -1696,29 +5357,93 @@ const _Cell = class _Cell {
     }
   }
   /**
-   * Tear down observers, handlers and canvas.
+   * Resource counts for this cell: what its convicts hold, plus the
+   * renderer's own view of GPU memory.
+   *
+   * @returns {{convicts:number, geometries:number, materials:number, textures:number, gpu:{geometries:number, textures:number, programs:number}}}
+   */
+  stats() {
+    const held = /* @__PURE__ */ new Set();
+    const convicts = getCellConvicts(this);
+    convicts.forEach((convict) => {
+      (convict.userData._heldResources || []).forEach((resource) => held.add(resource));
+    });
+    const stats = { convicts: convicts.length, geometries: 0, materials: 0, textures: 0 };
+    held.forEach((resource) => {
+      if (resource.isBufferGeometry) stats.geometries++;
+      else if (resource.isMaterial) stats.materials++;
+      else if (resource.isTexture) stats.textures++;
+    });
+    const info = this.threeRenderer.info;
+    stats.gpu = {
+      geometries: info.memory.geometries,
+      textures: info.memory.textures,
+      programs: (info.programs || []).length
+    };
+    return stats;
+  }
+  /**
+   * Tear down observers, handlers and canvas. With `deep`, also release every
+   * geometry, material and texture the cell's convicts hold, its scoped
+   * assets and the renderer itself.
+   *
+   * @param {{deep?: boolean}} [options]
    */
-  dispose() {
+  dispose({ deep = false } = {}) {
     this._running = false;
     this._resizeObserver.disconnect();
+    this._visibilityObserver.disconnect();
+    document.removeEventListener("visibilitychange", this._boundVisibilityChange);
+    styleEnvironmentListeners.delete(this._boundStyleEnvironmentChange);
     this._styleObserver.disconnect();
     this._styleElemObserver.disconnect();
     this._styleHostObserver.disconnect();
-    if (this._pointerMoveRaf) {
-      cancelAnimationFrame(this._pointerMoveRaf);
-      this._pointerMoveRaf = 0;
+    this._pointers.forEach((state) => {
+      cancelPendingPointerMove(state);
+      if (state.down) clearTimeout(state.down.timer);
+    });
+    this._pointers.clear();
+    this._pmremTargets.forEach((target) => target.dispose());
+    this._pmremTargets.clear();
+    this._composerToken = (this._composerToken || 0) + 1;
+    disposeCellComposer(this);
+    if (this._settingsHost) stopObjectAnimation(this._settingsHost);
+    if (this._pmremGenerator) {
+      this._pmremGenerator.dispose();
+      this._pmremGenerator = null;
     }
-    this._pendingPointerMoveEvt = null;
-    this.cellElm.removeEventListener("mousemove", this._boundPointerMove);
+    this.cellElm.removeEventListener("pointermove", this._boundPointerMove);
+    this.cellElm.removeEventListener("pointerdown", this._boundPointerDown);
+    this.cellElm.removeEventListener("pointerup", this._boundPointerUp);
+    this.cellElm.removeEventListener("pointercancel", this._boundPointerCancel);
+    this.cellElm.removeEventListener("pointerleave", this._boundPointerCancel);
     this.cellElm.removeEventListener("click", this._boundClick);
-    this.cellElm.removeEventListener("mousedown", this._boundMouseDown);
-    this.cellElm.removeEventListener("mouseup", this._boundMouseUp);
     this.cellElm.removeEventListener("dblclick", this._boundDoubleClick);
     this.cellElm.removeEventListener("contextmenu", this._boundContextMenu);
+    getCellConvicts(this).forEach((convict) => unbridgeCellEvents(convict.userData.domEl));
+    if (deep) {
+      getCellConvicts(this).forEach((convict) => {
+        stopObjectAnimation(convict);
+        if (convict.userData._model) unmountConvictModel(convict);
+        if (convict.userData._instancer) setConvictInstancing(convict, "none");
+        releaseConvictResources(convict);
+      });
+      this._styleCache.assets.forEach(disposeAssetValue);
+      this._styleCache.assets.clear();
+      this._mixers.clear();
+      this.updateFunds = [];
+      this.loadedScene.background = null;
+      this.loadedScene.environment = null;
+      this.loadedScene.fog = null;
+      this.threeRenderer.dispose();
+      _Cell.allCells.delete(this.cellElm);
+      JTHREE.__Loaded_Cells__.delete(this.cellElm);
+    }
     const canvas = this.threeRenderer.domElement;
     if (canvas && canvas.parentNode) {
       canvas.parentNode.removeChild(canvas);
     }
+    this._mirrorEl.remove();
   }
 };
 __publicField(_Cell, "allCells", /* @__PURE__ */ new WeakMap());
@@ -1731,9 +5456,12 @@ const _JTHREE = class _JTHREE {
     if (!_JTHREE.__StyleTag__ && document.head) {
       const styleSheet = document.createElement("style");
       styleSheet.textContent = `
-        cell > :not(canvas) {
+        cell > :not(canvas):not([data-cell-mirror]) {
           display: none;
         }
+        cell:has([draggable]:not([draggable="false"])) {
+          touch-action: none;
+        }
       `;
       document.head.appendChild(styleSheet);
       _JTHREE.__StyleTag__ = styleSheet;
@@ -1759,10 +5487,11 @@ const _JTHREE = class _JTHREE {
     if (_JTHREE.__Loaded_Cells__.has(cellEl)) {
       return _JTHREE.__Loaded_Cells__.get(cellEl);
     }
-    const { canvas, width, height, dpr } = createWebGLOverlay(cellEl);
+    const glOptions = getRendererOptions(cellEl);
+    const { canvas, width, height, dpr } = createWebGLOverlay(cellEl, glOptions);
     const safeWidth = width || 1;
     const safeHeight = height || 1;
-    const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+    const renderer = new THREE.WebGLRenderer({ canvas, ...glOptions });
     renderer.setPixelRatio(dpr);
     renderer.setSize(safeWidth, safeHeight, false);
     renderer.setClearColor(0, 1);
@@ -1787,6 +5516,54 @@ const _JTHREE = class _JTHREE {
 __publicField(_JTHREE, "__Loaded_Cells__", /* @__PURE__ */ new WeakMap());
 __publicField(_JTHREE, "__StyleTag__", null);
 let JTHREE = _JTHREE;
+function getCellRenderMode(cellEl) {
+  return cellEl.getAttribute("render") === "on-demand" ? "on-demand" : "always";
+}
+function getCellPickOptions(cellEl) {
+  let mode = (cellEl.getAttribute("pick") || "raycast").trim().toLowerCase();
+  if (!PICK_MODES.includes(mode)) {
+    console.warn(`pick="${mode}" is not supported (use ${PICK_MODES.join(", ")}).`);
+    mode = "raycast";
+  }
+  if (mode === "bvh") ensureMeshBVH();
+  const threshold = (name) => {
+    const value = parseFloat(cellEl.getAttribute(name));
+    return Number.isFinite(value) ? value : 1;
+  };
+  const layers = new THREE.Layers();
+  const layerList = (cellEl.getAttribute("pick-layers") || "3").trim().toLowerCase();
+  if (layerList === "all") {
+    layers.enableAll();
+  } else {
+    layers.disableAll();
+    layerList.split(/[\s,]+/).filter(Boolean).forEach((token) => {
+      const layer = Number(token);
+      if (Number.isInteger(layer) && layer >= 0 && layer < 32) layers.enable(layer);
+      else console.warn(`pick-layers="${layerList}": "${token}" is not a layer (use 0-31 or all).`);
+    });
+    if (!layers.mask) layers.set(3);
+  }
+  return {
+    mode,
+    layers,
+    lineThreshold: threshold("pick-line-threshold"),
+    pointThreshold: threshold("pick-point-threshold")
+  };
+}
+function getRendererOptions(cellEl) {
+  const flag = (name, fallback) => cellEl.hasAttribute(name) ? cellEl.getAttribute(name) !== "false" : fallback;
+  const options = {
+    antialias: flag("antialias", true),
+    alpha: flag("alpha", false),
+    premultipliedAlpha: flag("premultiplied-alpha", true),
+    preserveDrawingBuffer: flag("preserve-drawing-buffer", false),
+    logarithmicDepthBuffer: flag("logarithmic-depth-buffer", false),
+    stencil: flag("stencil", false)
+  };
+  const powerPreference = cellEl.getAttribute("power-preference");
+  if (powerPreference) options.powerPreference = powerPreference;
+  return options;
+}
 function createWebGLOverlay(hostEl, glOptions = {}) {
   const { width, height } = hostEl.getBoundingClientRect();
   const dpr = window.devicePixelRatio || 1;
@@ -1826,8 +5603,10 @@ export {
   default_onCellClick_method,
   default_onCellContextMenu_method,
   default_onCellDoubleClick_method,
+  default_onCellKeyDown_method,
   default_onCellMouseDown_method,
   default_onCellMouseUp_method,
+  default_onCellPointerCancel_method,
   default_onCellPointerMove_method,
   exchange_rule,
   fastRemoveArray,
@@ -1836,15 +5615,18 @@ export {
   gatherKeyFrame_MAP,
   getAnimationMap,
   getAsset,
-  getCSSRule,
   getClassMap,
+  getResourceStats,
   lerpNumber,
   lerpValue,
   loadAsset,
+  markCellStyleCacheDirty,
+  markGlobalStyleCacheDirty,
   paintCell,
   paintConstantMuse,
   paintConvict,
   paintExtraCell,
-  paintSpecificMuse
+  paintSpecificMuse,
+  parseCSSColor,
+  resolveCascade
 };
-//# sourceMappingURL=index.js.map
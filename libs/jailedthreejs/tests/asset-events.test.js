@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, animatedModelUrl, createCell, nextFrame, serveAsset, waitForEvent } from "./helpers.js";
+
+serveAsset("models/events.gltf", animatedModelUrl());
+
+test("cells report asset loads and settle ready", async () => {
+  addStyle(`#robot { --scale: (1, 1, 1); } #robot:loading { --scale: (0.5, 0.5, 0.5); }`);
+  const cell = createCell(`<model id="robot" src="models/events.gltf"></model>`);
+  const robot = cell.getConvictById("robot");
+  const loaded = waitForEvent(cell.cellElm, "assetload");
+  assert.ok(robot.userData.extraParams.includes(":loading"));
+  await Promise.resolve();
+  assert.deepEqual(robot.scale.toArray(), [0.5, 0.5, 0.5]);
+  const { detail } = await loaded;
+  assert.equal(detail.cell, cell);
+  assert.equal(detail.url, "models/events.gltf");
+  assert.equal(detail.progress, 1);
+  assert.equal(await cell.ready, cell);
+  await nextFrame(0);
+  assert.ok(!robot.userData.extraParams.includes(":loading"));
+  assert.deepEqual(robot.scale.toArray(), [1, 1, 1]);
+});
+
+test("failed loads emit asseterror and flag the convict :error", async (t) => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(console, "warn", () => {});
+  addStyle(`#robot:error { --scale: (2, 2, 2); }`);
+  const cell = createCell(`<model id="robot" src="models/missing.gltf"></model>`);
+  const robot = cell.getConvictById("robot");
+  const { detail } = await waitForEvent(cell.cellElm, "asseterror");
+  assert.equal(detail.name, "models/missing.gltf");
+  assert.ok(detail.error);
+  await cell.ready;
+  await nextFrame(0);
+  assert.ok(robot.userData.extraParams.includes(":error"));
+  assert.deepEqual(robot.scale.toArray(), [2, 2, 2]);
+});
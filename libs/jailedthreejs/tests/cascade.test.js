@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JT, addStyle, createCell } from "./helpers.js";
+
+test("later rules of equal specificity override earlier ones", () => {
+  addStyle(`
+    .pf-object { --position: (1, 0, 0); }
+    .pf-object { --position: (2, 0, 0); }
+  `);
+  const cell = createCell(`<mesh id="planet" class="pf-object"></mesh>`);
+  assert.deepEqual(cell.getConvictById("planet").position.toArray(), [2, 0, 0]);
+});
+
+test("specificity beats source order and !important beats specificity", () => {
+  addStyle(`
+    #planet { --position: (5, 0, 0); --scale: (3, 3, 3); }
+    .pf-object { --position: (1, 0, 0); --scale: (2, 2, 2) !important; }
+  `);
+  const cell = createCell(`<mesh id="planet" class="pf-object"></mesh>`);
+  const planet = cell.getConvictById("planet");
+  assert.deepEqual(planet.position.toArray(), [5, 0, 0]);
+  assert.deepEqual(planet.scale.toArray(), [2, 2, 2]);
+});
+
+test("inline declarations win over stylesheet rules", () => {
+  addStyle(`#planet { --position: (5, 0, 0); }`);
+  const cell = createCell(`<mesh id="planet" style="--position: (0, 7, 0)"></mesh>`);
+  assert.deepEqual(cell.getConvictById("planet").position.toArray(), [0, 7, 0]);
+});
+
+test("resolveCascade merges every matching rule into one declaration block", () => {
+  addStyle(`
+    .planet { --color: red; --intensity: 1; --opacity: 0.1 !important; }
+    #hero { --color: blue; }
+    .planet.big { --intensity: 2; }
+    .big { --intensity: 3; --opacity: 0.9; }
+  `);
+  const cell = createCell(`<mesh id="hero" class="planet big" style="--scale: (9, 9, 9)"></mesh>`);
+  const { style } = JT.resolveCascade(cell.getConvictById("hero"));
+  assert.equal(style.getPropertyValue("--color").trim(), "blue");
+  assert.equal(style.getPropertyValue("--intensity").trim(), "2");
+  assert.equal(style.getPropertyValue("--opacity").trim(), "0.1");
+  assert.equal(style.getPropertyPriority("--opacity"), "important");
+  assert.equal(style.getPropertyValue("--scale").trim(), "(9, 9, 9)");
+});
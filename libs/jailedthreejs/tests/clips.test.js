@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { THREE, addStyle, animatedModelUrl, createCell, serveAsset, waitForEvent } from "./helpers.js";
+
+serveAsset("./models/walker.gltf", animatedModelUrl());
+
+async function mountWalker(clip) {
+  addStyle(`
+    @walker { url: /models/walker.gltf; }
+    #hero { --model: walker; --clip: ${clip}; }
+  `);
+  const cell = createCell(`<object3d id="hero"></object3d>`);
+  const hero = cell.getConvictById("hero");
+  const { detail } = await waitForEvent(hero, "ModelMounted");
+  return { cell, hero, model: detail.model };
+}
+
+test("--model mounts an animated asset and --clip plays its clips", async () => {
+  const { hero, model } = await mountWalker("Wave 2s infinite alternate");
+  assert.equal(model.parent, hero);
+  const action = hero.userData._mixer.existingAction(model.animations[0]);
+  assert.ok(action.isScheduled());
+  assert.equal(action.loop, THREE.LoopPingPong);
+  assert.equal(action.repetitions, Infinity);
+  assert.equal(action.timeScale, 0.5);
+});
+
+test("clip names match case-insensitively and unknown clips warn", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { hero, model } = await mountWalker("wave paused, Missing");
+  const action = hero.userData._mixer.existingAction(model.animations[0]);
+  assert.equal(action.paused, true);
+  assert.ok(warn.mock.calls.some((call) => /Clip "Missing" not found/.test(call.arguments[0])));
+});
+
+test("the mixer emits ClipFinished when a finite clip ends", async () => {
+  const { hero } = await mountWalker("Wave 100ms forwards");
+  const finished = waitForEvent(hero, "ClipFinished");
+  const { detail } = await finished;
+  assert.equal(detail.clip, "Wave");
+});
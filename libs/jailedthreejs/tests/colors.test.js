@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JT, THREE, addStyle, createCell } from "./helpers.js";
+
+const hexOf = (color) => color.getHexString(THREE.SRGBColorSpace);
+
+test("hex, named and functional colors parse to sRGB", () => {
+  assert.equal(hexOf(JT.parseCSSColor("#f80")), "ff8800");
+  assert.equal(hexOf(JT.parseCSSColor("rebeccapurple")), "663399");
+  assert.equal(hexOf(JT.parseCSSColor("rgb(255 0 128 / 50%)")), "ff0080");
+  assert.equal(hexOf(JT.parseCSSColor("hsl(120deg, 100%, 50%)")), "00ff00");
+  assert.equal(hexOf(JT.parseCSSColor("oklch(100% 0 0)")), "ffffff");
+  assert.equal(JT.parseCSSColor("not-a-color"), null);
+});
+
+test("color-mix blends in the requested space", () => {
+  assert.equal(hexOf(JT.parseCSSColor("color-mix(in srgb, #ff0000, #0000ff)")), "800080");
+  assert.equal(hexOf(JT.parseCSSColor("color-mix(in srgb, #ff0000 25%, #0000ff)")), "4000bf");
+});
+
+test("colors interpolate in the chosen color space", () => {
+  const red = JT.parseCSSColor("#ff0000");
+  const blue = JT.parseCSSColor("#0000ff");
+  const srgb = JT.lerpValue(red, blue, 0.5, JT.lerpNumber, "srgb");
+  const oklab = JT.lerpValue(red, blue, 0.5, JT.lerpNumber, "oklab");
+  assert.equal(hexOf(srgb), "800080");
+  assert.notEqual(hexOf(oklab), hexOf(srgb));
+});
+
+test("convict colors accept any CSS color syntax", () => {
+  addStyle(`#box { --material-color: hsl(240 100% 50%); }`);
+  const cell = createCell(`<mesh id="box"></mesh>`);
+  assert.equal(hexOf(cell.getConvictById("box").material.color), "0000ff");
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, createCell, nextFrame, pointer } from "./helpers.js";
+
+async function dragBy(cell, dx, dy = 0) {
+  await nextFrame();
+  pointer(cell, "pointerdown");
+  pointer(cell, "pointermove", { x: 150 + dx, y: 75 + dy });
+  await nextFrame();
+  pointer(cell, "pointerup", { x: 150 + dx, y: 75 + dy });
+  pointer(cell, "click", { x: 150 + dx, y: 75 + dy });
+}
+
+function record(el) {
+  const seen = [];
+  ["celldragstart", "celldrag", "celldragend", "cellclick"].forEach((type) => el.addEventListener(type, (evt) => seen.push(evt.type)));
+  return seen;
+}
+
+test("dragging along a plane moves the convict and writes --position back", async () => {
+  addStyle(`mesh { --geometry: box(2, 2, 2); }`);
+  const cell = createCell(`<mesh id="box" draggable="plane:xy"></mesh>`);
+  const box = cell.getConvictById("box");
+  const seen = record(box.userData.domEl);
+  await dragBy(cell, 75);
+  assert.deepEqual(seen, ["celldragstart", "celldrag", "celldrag", "celldragend"]);
+  assert.ok(box.position.x > 1);
+  assert.equal(box.position.y, 0);
+  assert.equal(box.position.z, 0);
+  const written = box.userData.domEl.style.getPropertyValue("--position");
+  assert.equal(written, `(${+box.position.x.toFixed(4)}, 0, 0)`);
+});
+
+test("axis drags only move along their axis", async () => {
+  addStyle(`mesh { --geometry: box(2, 2, 2); }`);
+  const cell = createCell(`<mesh id="box" draggable="axis:y"></mesh>`);
+  const box = cell.getConvictById("box");
+  await dragBy(cell, 60, -30);
+  assert.equal(box.position.x, 0);
+  assert.ok(box.position.y > 0);
+  assert.equal(box.position.z, 0);
+});
+
+test("small movements stay clicks and do not drag", async () => {
+  addStyle(`mesh { --geometry: box(2, 2, 2); }`);
+  const cell = createCell(`<mesh id="box" draggable></mesh>`);
+  const box = cell.getConvictById("box");
+  const seen = record(box.userData.domEl);
+  await dragBy(cell, 4);
+  assert.deepEqual(seen, ["cellclick"]);
+  assert.deepEqual(box.position.toArray(), [0, 0, 0]);
+});
+
+test("surface drags land on other geometry, skipping the dragged and hidden convicts", async () => {
+  addStyle(`
+    mesh { --geometry: box(2, 2, 2); }
+    #wall { --geometry: box(50, 50, 1); --position: (0, 0, -5); }
+    #ghost { --geometry: box(50, 50, 1); --position: (0, 0, 3); }
+  `);
+  const cell = createCell(`<mesh id="wall"></mesh><mesh id="ghost"></mesh><mesh id="box" draggable="surface"></mesh>`);
+  cell.getConvictById("ghost").visible = false;
+  const box = cell.getConvictById("box");
+  await dragBy(cell, 30);
+  assert.ok(Math.abs(box.position.z - -5.5) < 1e-6);
+  assert.ok(box.position.x > 0);
+});
+
+test("surface drags skip the instance batch drawing the dragged convict", async () => {
+  addStyle(`
+    mesh { --geometry: box(2, 2, 2); }
+    #floor { --geometry: box(20, 20, 2); --position: (0, 0, -2); }
+  `);
+  const cell = createCell(`<instancedgroup><mesh id="box" draggable="surface"></mesh><mesh id="floor"></mesh></instancedgroup>`);
+  const box = cell.getConvictById("box");
+  await dragBy(cell, 12);
+  assert.ok(Math.abs(box.position.z - -2) < 1e-6);
+});
+
+test("unsupported modes warn and leave the convict in place", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  addStyle(`mesh { --geometry: box(2, 2, 2); }`);
+  const cell = createCell(`<mesh id="box" draggable="orbit"></mesh>`);
+  await dragBy(cell, 75);
+  assert.deepEqual(cell.getConvictById("box").position.toArray(), [0, 0, 0]);
+  assert.ok(warn.mock.calls.some((call) => /draggable="orbit" is not supported/.test(call.arguments[0])));
+});
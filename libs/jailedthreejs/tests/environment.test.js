@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, createCell } from "./helpers.js";
+
+test("cube map assets need exactly six faces", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  addStyle(`@sky { cube: px.png, nx.png, py.png; }`);
+  createCell(``);
+  assert.ok(warn.mock.calls.some((call) => /Cube map asset "sky" needs six faces/.test(call.arguments[0])));
+});
+
+test("--environment rejects values that are not textures", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  addStyle(`cell { --environment: #ffffff; }`);
+  const cell = createCell(``);
+  assert.equal(cell.loadedScene.environment, null);
+  assert.ok(warn.mock.calls.some((call) => /--environment: "#ffffff" is not a texture asset/.test(call.arguments[0])));
+});
+
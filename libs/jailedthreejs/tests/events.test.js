@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, createCell, pointer } from "./helpers.js";
+
+function shipCell(hullAttributes = "") {
+  addStyle(`mesh { --geometry: box(2, 2, 2); }`);
+  return createCell(`<object3d id="ship" onclick=""><mesh id="hull" ${hullAttributes}></mesh></object3d>`);
+}
+
+test("cell events bubble from the hit convict through its ancestors to the cell", () => {
+  const cell = shipCell();
+  const hull = cell.getConvictById("hull");
+  const ship = cell.getConvictById("ship");
+  const seen = [];
+  const log = (evt) => seen.push([evt.currentTarget.id || evt.currentTarget.tagName, evt.target3d, evt.currentTarget3d]);
+  hull.userData.domEl.addEventListener("cellclick", log);
+  ship.userData.domEl.addEventListener("cellclick", log);
+  cell.cellElm.addEventListener("cellclick", log);
+  pointer(cell, "click");
+  assert.deepEqual(seen, [["hull", hull, hull], ["ship", hull, ship], ["CELL", hull, null]]);
+});
+
+test("stopPropagation keeps ancestors from seeing the event", () => {
+  const cell = shipCell();
+  const seen = [];
+  cell.getConvictById("hull").userData.domEl.addEventListener("cellclick", (evt) => evt.stopPropagation());
+  cell.getConvictById("ship").userData.domEl.addEventListener("cellclick", () => seen.push("ship"));
+  pointer(cell, "click");
+  assert.deepEqual(seen, []);
+});
+
+test("enter and leave do not bubble", () => {
+  const cell = shipCell();
+  const seen = [];
+  const ship = cell.getConvictById("ship").userData.domEl;
+  ship.addEventListener("cellmouseenter", (evt) => seen.push(evt.target.id));
+  cell.getConvictById("hull").userData.domEl.addEventListener("cellmouseenter", (evt) => seen.push(evt.target.id));
+  pointer(cell, "pointerdown");
+  assert.deepEqual(seen, ["hull"]);
+});
+
+test("on* handler properties receive the cell event", () => {
+  const cell = shipCell();
+  const calls = [];
+  cell.getConvictById("ship").userData.domEl.onclick = function(evt) {
+    calls.push([this.id, evt.target3d.userData.domEl.id]);
+  };
+  pointer(cell, "click");
+  assert.deepEqual(calls, [["ship", "hull"]]);
+});
+
+test("convicts with only cell event listeners are hit", () => {
+  addStyle(`mesh { --geometry: box(2, 2, 2); }`);
+  const cell = createCell(`<mesh id="buoy"></mesh>`);
+  const buoy = cell.getConvictById("buoy");
+  const hits = [];
+  const listener = (evt) => hits.push(evt.target3d);
+  buoy.userData.domEl.addEventListener("cellclick", listener);
+  pointer(cell, "click");
+  assert.deepEqual(hits, [buoy]);
+  buoy.userData.domEl.removeEventListener("cellclick", listener);
+  assert.equal(buoy.layers.isEnabled(3), false);
+});
+
+test("disposing the cell unbridges its convicts", () => {
+  const cell = shipCell();
+  const ship = cell.getConvictById("ship").userData.domEl;
+  const calls = [];
+  ship.onclick = () => calls.push("ship");
+  cell.dispose();
+  ship.dispatchEvent(new CustomEvent("cellclick", { bubbles: true }));
+  assert.deepEqual(calls, []);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, createCell, nextFrame } from "./helpers.js";
+
+const solarSystem = `
+  <object3d id="planets" aria-label="Planets">
+    <mesh id="earth" tabindex="0" aria-label="Earth">Home planet</mesh>
+    <mesh id="mars" tabindex="0">Red planet</mesh>
+    <mesh id="moon"></mesh>
+  </object3d>`;
+
+const mirrorOf = (cell) => cell.cellElm.querySelector("[data-cell-mirror]");
+const itemOf = (convict) => convict.userData._mirrorEl;
+
+test("labelled and focusable convicts are mirrored as a nested accessible tree", () => {
+  const cell = createCell(solarSystem, `aria-label="Solar system"`);
+  const mirror = mirrorOf(cell);
+  assert.equal(mirror.getAttribute("aria-label"), "Solar system");
+  const [group] = mirror.children;
+  assert.equal(group.getAttribute("aria-label"), "Planets");
+  assert.equal(group.getAttribute("role"), "group");
+  const items = group.querySelectorAll("[data-mirror-item]");
+  assert.equal(items.length, 2);
+  const [earth, mars] = items;
+  assert.equal(earth.getAttribute("role"), "button");
+  assert.equal(earth.getAttribute("aria-label"), "Earth");
+  assert.equal(document.getElementById(earth.getAttribute("aria-describedby")).textContent, "Home planet");
+  assert.equal(mars.getAttribute("aria-label"), "Red planet");
+  assert.equal(mars.tabIndex, 0);
+});
+
+test("focusing a mirror item focuses its convict", () => {
+  addStyle(`#earth:focus { --scale: (2, 2, 2); } #planets:focus-within { --position: (0, 1, 0); }`);
+  const cell = createCell(solarSystem);
+  const earth = cell.getConvictById("earth");
+  const seen = [];
+  earth.userData.domEl.addEventListener("cellfocus", (evt) => seen.push(evt.target3d));
+  itemOf(earth).focus();
+  assert.deepEqual(seen, [earth]);
+  assert.ok(earth.userData.extraParams.includes(":focus"));
+  assert.deepEqual(earth.scale.toArray(), [2, 2, 2]);
+  assert.deepEqual(cell.getConvictById("planets").position.toArray(), [0, 1, 0]);
+  itemOf(earth).blur();
+  assert.ok(!earth.userData.extraParams.includes(":focus"));
+  assert.deepEqual(earth.scale.toArray(), [1, 1, 1]);
+});
+
+test("arrow keys move between items and Enter clicks the focused convict", () => {
+  const cell = createCell(solarSystem);
+  const earth = cell.getConvictById("earth");
+  const mars = cell.getConvictById("mars");
+  const clicks = [];
+  mars.userData.domEl.addEventListener("cellclick", (evt) => clicks.push(evt.target3d));
+  itemOf(earth).focus();
+  itemOf(earth).dispatchEvent(new KeyboardEvent("keydown", { key: "ArrowDown", bubbles: true }));
+  assert.equal(document.activeElement, itemOf(mars));
+  assert.ok(mars.userData.extraParams.includes(":focus"));
+  itemOf(mars).dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+  assert.deepEqual(clicks, [mars]);
+  itemOf(mars).dispatchEvent(new KeyboardEvent("keydown", { key: "Home", bubbles: true }));
+  assert.equal(document.activeElement, itemOf(earth));
+});
+
+test("the mirror follows attribute and text changes", async () => {
+  const cell = createCell(solarSystem);
+  const moon = cell.getConvictById("moon");
+  moon.userData.domEl.setAttribute("aria-label", "Moon");
+  cell.getConvictById("mars").userData.domEl.setAttribute("aria-hidden", "true");
+  await nextFrame();
+  assert.equal(itemOf(moon).getAttribute("aria-label"), "Moon");
+  assert.equal(itemOf(moon).getAttribute("role"), "group");
+  assert.equal(mirrorOf(cell).querySelectorAll("[data-mirror-item]").length, 3);
+  assert.equal(mirrorOf(cell).querySelector('[aria-label="Red planet"]'), null);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JT, addStyle, createCell } from "./helpers.js";
+
+test("geometry functions build parameterised primitives", () => {
+  const box = JT.CSSValueTo3JSValue("box(1, 2, 3)");
+  assert.equal(box.type, "BoxGeometry");
+  assert.deepEqual([box.parameters.width, box.parameters.height, box.parameters.depth], [1, 2, 3]);
+  const sphere = JT.CSSValueTo3JSValue("sphereGeometry(2, 8, 6)");
+  assert.equal(sphere.type, "SphereGeometry");
+  assert.equal(sphere.parameters.radius, 2);
+});
+
+test("equal geometry functions share one cached geometry", () => {
+  assert.equal(JT.CSSValueTo3JSValue("torus(1, 0.2)"), JT.CSSValueTo3JSValue("torus(1,0.2)"));
+});
+
+test("point lists and nested geometries feed the builder functions", () => {
+  const lathe = JT.CSSValueTo3JSValue("lathe((0, 0), (1, 1), (0, 2), 12)");
+  assert.equal(lathe.type, "LatheGeometry");
+  assert.equal(lathe.parameters.points.length, 3);
+  assert.equal(lathe.parameters.segments, 12);
+  const extrude = JT.CSSValueTo3JSValue("extrude((0, 0), (1, 0), (0, 1), 0.5)");
+  assert.equal(extrude.parameters.options.depth, 0.5);
+  const edges = JT.CSSValueTo3JSValue("edges(box(1, 1, 1))");
+  assert.equal(edges.type, "EdgesGeometry");
+  assert.equal(JT.CSSValueTo3JSValue("tube((0, 0, 0), (1, 1, 0), (2, 0, 0), 16)").type, "TubeGeometry");
+});
+
+test("invalid parameters warn instead of building", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  assert.notEqual(JT.CSSValueTo3JSValue("box(1, wide, 3)")?.isBufferGeometry, true);
+  assert.ok(warn.mock.calls.some((call) => /Invalid geometry parameters/.test(call.arguments[0])));
+});
+
+test("--geometry assigns the geometry to the convict", () => {
+  addStyle(`#ring { --geometry: ring(1, 2, 24); }`);
+  const cell = createCell(`<mesh id="ring"></mesh>`);
+  const geometry = cell.getConvictById("ring").geometry;
+  assert.equal(geometry.type, "RingGeometry");
+  assert.equal(geometry.parameters.thetaSegments, 24);
+});
+
+test("a released cached geometry is rebuilt instead of reused", () => {
+  addStyle(`#ring { --geometry: ring(1, 2, 25); }`);
+  const cell = createCell(`<mesh id="ring"></mesh>`);
+  const convict = cell.getConvictById("ring");
+  const geometry = convict.geometry;
+  cell.removeConvict(convict);
+  assert.notEqual(JT.CSSValueTo3JSValue("ring(1, 2, 25)"), geometry);
+});
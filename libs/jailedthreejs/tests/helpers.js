@@ -0,0 +1,192 @@
+import { afterEach } from "node:test";
+import { JSDOM } from "jsdom";
+import * as THREE from "three";
+
+const dom = new JSDOM("<!doctype html><html><head></head><body></body></html>", { pretendToBeVisual: true });
+const { window } = dom;
+[
+  "document", "Node", "Element", "HTMLElement", "Event", "CustomEvent", "MouseEvent", "KeyboardEvent", "FocusEvent",
+  "ProgressEvent", "DOMParser", "MutationObserver", "getComputedStyle",
+  "CSSStyleRule", "CSSMediaRule", "CSSSupportsRule"
+].forEach((key) => {
+  if (window[key]) globalThis[key] = window[key];
+});
+globalThis.window = window;
+// jsdom's CSSOM sheets carry no ownerNode; scoped <style> handling needs it.
+if (!("ownerNode" in window.CSSStyleSheet.prototype)) {
+  Object.defineProperty(window.CSSStyleSheet.prototype, "ownerNode", {
+    get() {
+      return Array.from(document.querySelectorAll("style, link")).find((node) => node.sheet === this) || null;
+    }
+  });
+}
+// jsdom has no PointerEvent.
+globalThis.PointerEvent = window.PointerEvent || class PointerEvent extends window.MouseEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.pointerId = init.pointerId ?? 1;
+    this.pointerType = init.pointerType ?? "mouse";
+    this.isPrimary = init.isPrimary ?? true;
+  }
+};
+// jsdom parses @container but does not expose the rule class on window.
+const probe = document.createElement("style");
+probe.textContent = "@container (min-width: 0) {}";
+document.head.appendChild(probe);
+globalThis.CSSContainerRule = probe.sheet.cssRules[0].constructor;
+probe.remove();
+globalThis.requestAnimationFrame = (fn) => setTimeout(() => fn(performance.now()), 16);
+globalThis.cancelAnimationFrame = (id) => clearTimeout(id);
+globalThis.ResizeObserver = class {
+  constructor(callback) {
+    this.callback = callback;
+    ResizeObserver.instances.push(this);
+  }
+  observe(target) {
+    this.target = target;
+  }
+  unobserve() {}
+  disconnect() {}
+};
+ResizeObserver.instances = [];
+globalThis.IntersectionObserver = class {
+  constructor(callback) {
+    this.callback = callback;
+    IntersectionObserver.instances.push(this);
+  }
+  observe(target) {
+    this.target = target;
+  }
+  unobserve() {}
+  disconnect() {}
+};
+IntersectionObserver.instances = [];
+
+export const JT = await import("../index.js");
+export { THREE };
+
+export function fakeRenderer() {
+  const calls = { render: 0 };
+  return {
+    calls,
+    domElement: document.createElement("canvas"),
+    shadowMap: { enabled: false, type: THREE.PCFShadowMap, autoUpdate: true },
+    capabilities: { getMaxAnisotropy: () => 16 },
+    info: { memory: { geometries: 0, textures: 0 }, render: { calls: 0 } },
+    toneMapping: THREE.NoToneMapping,
+    toneMappingExposure: 1,
+    outputColorSpace: THREE.SRGBColorSpace,
+    render(scene, camera) {
+      calls.render++;
+      // Like WebGLRenderer, bring world matrices up to date before drawing.
+      if (scene.matrixWorldAutoUpdate) scene.updateMatrixWorld();
+      if (camera.parent === null && camera.matrixWorldAutoUpdate) camera.updateMatrixWorld();
+    },
+    setSize() {},
+    getSize: (target) => target.set(300, 150),
+    getDrawingBufferSize: (target) => target.set(300, 150),
+    setPixelRatio() {},
+    getPixelRatio: () => 1,
+    setClearColor() {},
+    getClearColor: (target) => target,
+    getClearAlpha: () => 1,
+    setRenderTarget() {},
+    getRenderTarget: () => null,
+    clear() {},
+    readRenderTargetPixels() {},
+    dispose() {
+      calls.disposed = true;
+    }
+  };
+}
+
+const servedAssets = new Map();
+THREE.DefaultLoadingManager.setURLModifier((url) => servedAssets.get(url) || url);
+
+/** Answer loads of `url` with the given data URL. Asset rules prefix their urls with ".". */
+export function serveAsset(url, dataUrl) {
+  servedAssets.set(url, dataUrl);
+}
+
+/** A glTF with a "Body" node holding an "Arm" child and a one second "Wave" clip moving the arm. */
+export function animatedModelUrl() {
+  const data = Buffer.alloc(32);
+  new Float32Array(data.buffer, data.byteOffset, 8).set([0, 1, 0, 0, 0, 1, 0, 0]);
+  const gltf = {
+    asset: { version: "2.0" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ name: "Body", children: [1] }, { name: "Arm" }],
+    buffers: [{ byteLength: 32, uri: `data:application/octet-stream;base64,${data.toString("base64")}` }],
+    bufferViews: [{ buffer: 0, byteOffset: 0, byteLength: 8 }, { buffer: 0, byteOffset: 8, byteLength: 24 }],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 2, type: "SCALAR", min: [0], max: [1] },
+      { bufferView: 1, componentType: 5126, count: 2, type: "VEC3" }
+    ],
+    animations: [{
+      name: "Wave",
+      channels: [{ sampler: 0, target: { node: 1, path: "translation" } }],
+      samplers: [{ input: 0, output: 1 }]
+    }]
+  };
+  return `data:model/gltf+json,${encodeURIComponent(JSON.stringify(gltf))}`;
+}
+
+export function waitForEvent(target, type) {
+  return new Promise((resolve) => {
+    const listener = (event) => {
+      target.removeEventListener(type, listener);
+      resolve(event);
+    };
+    target.addEventListener(type, listener);
+  });
+}
+
+const openCells = [];
+
+afterEach(() => {
+  openCells.splice(0).forEach((cell) => cell.dispose({ deep: true }));
+  document.head.querySelectorAll("style").forEach((style) => style.remove());
+  document.body.innerHTML = "";
+  JT.markGlobalStyleCacheDirty();
+});
+
+export function addStyle(css) {
+  const style = document.createElement("style");
+  style.textContent = css;
+  document.head.appendChild(style);
+  JT.markGlobalStyleCacheDirty();
+  return style;
+}
+
+export function createCell(markup, attributes = "") {
+  const host = document.createElement("div");
+  host.innerHTML = `<cell ${attributes}>${markup}</cell>`;
+  const cellEl = host.firstElementChild;
+  document.body.appendChild(cellEl);
+  cellEl.getBoundingClientRect = () => ({ left: 0, top: 0, width: 300, height: 150, right: 300, bottom: 150 });
+  const camera = new THREE.PerspectiveCamera(50, 2, 0.1, 1000);
+  camera.position.set(0, 0, 10);
+  const cell = new JT.Cell(cellEl, fakeRenderer(), new THREE.Scene(), camera);
+  openCells.push(cell);
+  return cell;
+}
+
+export function resizeCell(cell, width, height) {
+  cell.cellElm.getBoundingClientRect = () => ({ left: 0, top: 0, width, height, right: width, bottom: height });
+  ResizeObserver.instances
+    .filter((observer) => observer.target === cell.cellElm)
+    .forEach((observer) => observer.callback([{ target: cell.cellElm, contentRect: { width, height } }]));
+}
+
+/** Dispatch a pointer event on the cell at cell-relative coordinates; the centre by default. */
+export function pointer(cell, type, init = {}) {
+  const { x = 150, y = 75, ...rest } = init;
+  const evt = new PointerEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y, ...rest });
+  cell.cellElm.dispatchEvent(evt);
+  return evt;
+}
+
+export function nextFrame(ms = 50) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
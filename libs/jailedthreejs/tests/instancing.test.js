@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { THREE, addStyle, createCell, nextFrame } from "./helpers.js";
+
+const rocks = `
+  <instancedgroup id="field">
+    <mesh id="r1" class="rock" style="--position: (1, 0, 0)"></mesh>
+    <mesh id="r2" class="rock" style="--position: (2, 0, 0)"></mesh>
+    <mesh id="r3" class="rock" style="--position: (3, 0, 0)"></mesh>
+  </instancedgroup>`;
+
+const batchesOf = (group) => group.children.filter((child) => child.isInstancedMesh);
+
+test("an instancedgroup draws matching convicts through one InstancedMesh", async () => {
+  addStyle(`.rock { --geometry: cube; }`);
+  const cell = createCell(rocks);
+  await nextFrame();
+  const field = cell.getConvictById("field");
+  const [batch] = batchesOf(field);
+  assert.equal(batchesOf(field).length, 1);
+  assert.equal(batch.count, 3);
+  const matrix = new THREE.Matrix4();
+  batch.getMatrixAt(1, matrix);
+  assert.deepEqual(new THREE.Vector3().setFromMatrixPosition(matrix).toArray(), [2, 0, 0]);
+  assert.equal(cell.getConvictById("r1").layers.isEnabled(0), false);
+});
+
+test("moving a member updates its instance matrix", async () => {
+  addStyle(`.rock { --geometry: cube; }`);
+  const cell = createCell(rocks);
+  await nextFrame();
+  cell.getConvictById("r3").position.set(0, 5, 0);
+  await nextFrame();
+  const matrix = new THREE.Matrix4();
+  batchesOf(cell.getConvictById("field"))[0].getMatrixAt(2, matrix);
+  assert.deepEqual(new THREE.Vector3().setFromMatrixPosition(matrix).toArray(), [0, 5, 0]);
+});
+
+test("members that differ only in color share a batch with per-instance colors", async () => {
+  addStyle(`.rock { --geometry: cube; } #r2 { --material-color: #ff0000; }`);
+  const cell = createCell(rocks);
+  await nextFrame();
+  const [batch] = batchesOf(cell.getConvictById("field"));
+  const color = new THREE.Color();
+  batch.getColorAt(1, color);
+  assert.equal(batch.count, 3);
+  assert.equal(color.getHexString(THREE.SRGBColorSpace), "ff0000");
+});
+
+test("different materials split into separate batches and hidden members drop out", async () => {
+  addStyle(`.rock { --geometry: cube; } #r3 { --material-wireframe: true; }`);
+  const cell = createCell(rocks);
+  await nextFrame();
+  const field = cell.getConvictById("field");
+  assert.deepEqual(batchesOf(field).map((batch) => batch.count).sort(), [1, 2]);
+  cell.getConvictById("r2").visible = false;
+  await nextFrame();
+  assert.deepEqual(batchesOf(field).map((batch) => batch.count).sort(), [1, 1]);
+});
+
+test("--instancing opts plain groups in and none releases the batches", async () => {
+  addStyle(`.rock { --geometry: cube; } #pile { --instancing: auto; } #pile.off { --instancing: none; }`);
+  const cell = createCell(`<object3d id="pile"><mesh class="rock"></mesh><mesh id="last" class="rock"></mesh></object3d>`);
+  await nextFrame();
+  const pile = cell.getConvictById("pile");
+  assert.equal(batchesOf(pile)[0].count, 2);
+  pile.userData.domEl.classList.add("off");
+  await nextFrame();
+  assert.equal(batchesOf(pile).length, 0);
+  assert.equal(cell.getConvictById("last").layers.isEnabled(0), true);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { THREE, addStyle, createCell, nextFrame } from "./helpers.js";
+
+test("--material switches the material type and keeps compatible properties", () => {
+  addStyle(`#box { --material-color: #ff0000; --material-opacity: 0.5; --material: physical; }`);
+  const cell = createCell(`<mesh id="box"></mesh>`);
+  const material = cell.getConvictById("box").material;
+  assert.ok(material.isMeshPhysicalMaterial);
+  assert.equal(material.color.getHexString(THREE.SRGBColorSpace), "ff0000");
+  assert.equal(material.opacity, 0.5);
+});
+
+test("three.js class names work as material types and unknown types warn", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  addStyle(`#a { --material: MeshToonMaterial; } #b { --material: FancyMaterial; }`);
+  const cell = createCell(`<mesh id="a"></mesh><mesh id="b"></mesh>`);
+  assert.ok(cell.getConvictById("a").material.isMeshToonMaterial);
+  assert.ok(warn.mock.calls.some((call) => /unknown material type "FancyMaterial"/.test(call.arguments[0])));
+});
+
+test("shader() builds a ShaderMaterial whose uniforms are styleable", async () => {
+  addStyle(`
+    #glow {
+      --material: shader("void main() { gl_Position = vec4(0.0); }", "void main() { gl_FragColor = vec4(1.0); }");
+    }
+  `);
+  const cell = createCell(`<mesh id="glow"></mesh>`);
+  const glow = cell.getConvictById("glow");
+  await nextFrame(0);
+  assert.ok(glow.material.isShaderMaterial);
+  assert.match(glow.material.fragmentShader, /gl_FragColor/);
+  glow.material.uniforms.time = { value: 0 };
+  glow.userData.domEl.style.setProperty("--material-uniforms-time", "2");
+  await nextFrame();
+  assert.equal(glow.material.uniforms.time.value, 2);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JT, addStyle, createCell, nextFrame, resizeCell } from "./helpers.js";
+
+test("@container rules are evaluated against the cell size", () => {
+  addStyle(`
+    .dot { --position: (0, 0, 0); }
+    @container (min-width: 200px) { .dot { --position: (1, 0, 0); } }
+    @container (min-width: 400px) { .dot { --position: (2, 0, 0); } }
+  `);
+  const cell = createCell(`<mesh id="dot" class="dot"></mesh>`);
+  assert.deepEqual(cell.getConvictById("dot").position.toArray(), [1, 0, 0]);
+});
+
+test("resizing the cell across a container breakpoint repaints", async () => {
+  addStyle(`
+    .dot { --position: (0, 0, 0); }
+    @container (min-width: 400px) { .dot { --position: (2, 0, 0); } }
+  `);
+  const cell = createCell(`<mesh id="dot" class="dot"></mesh>`);
+  assert.deepEqual(cell.getConvictById("dot").position.toArray(), [0, 0, 0]);
+  resizeCell(cell, 500, 250);
+  await nextFrame();
+  assert.deepEqual(cell.getConvictById("dot").position.toArray(), [2, 0, 0]);
+});
+
+test("@media rules follow matchMedia", () => {
+  window.matchMedia = (query) => ({ matches: !query.includes("print"), addEventListener() {} });
+  try {
+    addStyle(`
+      @media screen { .dot { --position: (1, 0, 0); } }
+      @media print { .dot { --position: (9, 0, 0); } }
+    `);
+    const cell = createCell(`<mesh id="dot" class="dot"></mesh>`);
+    assert.deepEqual(cell.getConvictById("dot").position.toArray(), [1, 0, 0]);
+  } finally {
+    delete window.matchMedia;
+    JT.markGlobalStyleCacheDirty();
+  }
+});
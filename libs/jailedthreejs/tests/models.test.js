@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, animatedModelUrl, createCell, nextFrame, serveAsset, waitForEvent } from "./helpers.js";
+
+serveAsset("models/robot.gltf", animatedModelUrl());
+
+test("<model src> mounts the hierarchy and exposes named nodes as sub-convicts", async () => {
+  const cell = createCell(`<model id="robot" src="models/robot.gltf"></model>`);
+  const robot = cell.getConvictById("robot");
+  const { detail } = await waitForEvent(robot, "ModelMounted");
+  const arm = detail.model.getObjectByName("Arm");
+  const armEl = robot.userData.domEl.querySelector("object3d.Body > object3d.Arm");
+  assert.ok(armEl);
+  assert.equal(armEl.getAttribute("data-model-node"), "Arm");
+  assert.equal(cell.getConvictByDom(armEl), arm);
+});
+
+test("selectors style model nodes through their generated elements", async () => {
+  addStyle(`#robot .Arm { --position: (0, 3, 0); }`);
+  const cell = createCell(`<model id="robot" src="models/robot.gltf"></model>`);
+  const robot = cell.getConvictById("robot");
+  const { detail } = await waitForEvent(robot, "ModelMounted");
+  await nextFrame();
+  assert.deepEqual(detail.model.getObjectByName("Arm").position.toArray(), [0, 3, 0]);
+});
+
+test("changing src unmounts the previous model and its sub-convicts", async () => {
+  const cell = createCell(`<model id="robot" src="models/robot.gltf"></model>`);
+  const robot = cell.getConvictById("robot");
+  const { detail } = await waitForEvent(robot, "ModelMounted");
+  const armEl = robot.userData.domEl.querySelector(".Arm");
+  robot.userData.domEl.setAttribute("src", "none");
+  await nextFrame();
+  assert.equal(detail.model.parent, null);
+  assert.equal(cell.getConvictByDom(armEl), undefined);
+});
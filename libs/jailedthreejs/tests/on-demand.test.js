@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCell, nextFrame } from "./helpers.js";
+
+function setVisible(cell, isIntersecting) {
+  IntersectionObserver.instances
+    .filter((observer) => observer.target === cell.cellElm)
+    .forEach((observer) => observer.callback([{ target: cell.cellElm, isIntersecting }]));
+}
+
+test("cells render every frame by default", async () => {
+  const cell = createCell(`<mesh></mesh>`);
+  await nextFrame(100);
+  const count = cell.threeRenderer.calls.render;
+  await nextFrame(100);
+  assert.ok(cell.threeRenderer.calls.render > count + 2);
+});
+
+test("on-demand cells render only after invalidate()", async () => {
+  const cell = createCell(`<mesh id="box"></mesh>`, `render="on-demand"`);
+  await nextFrame(100);
+  const { calls } = cell.threeRenderer;
+  const idle = calls.render;
+  await nextFrame(100);
+  assert.equal(calls.render, idle);
+  cell.invalidate();
+  await nextFrame();
+  assert.equal(calls.render, idle + 1);
+});
+
+test("style changes on convicts invalidate on-demand cells", async () => {
+  const cell = createCell(`<mesh id="box"></mesh>`, `render="on-demand"`);
+  await nextFrame(100);
+  const { calls } = cell.threeRenderer;
+  const idle = calls.render;
+  cell.getConvictById("box").userData.domEl.style.setProperty("--position", "(1, 2, 3)");
+  await nextFrame(100);
+  assert.ok(calls.render > idle);
+  assert.deepEqual(cell.getConvictById("box").position.toArray(), [1, 2, 3]);
+});
+
+test("on-demand cells pause off-screen and catch up when shown", async () => {
+  const cell = createCell(`<mesh></mesh>`, `render="on-demand"`);
+  await nextFrame(100);
+  const { calls } = cell.threeRenderer;
+  setVisible(cell, false);
+  const hidden = calls.render;
+  cell.invalidate();
+  await nextFrame();
+  assert.equal(calls.render, hidden);
+  setVisible(cell, true);
+  await nextFrame();
+  assert.equal(calls.render, hidden + 1);
+});
+
+test("switching the render attribute takes effect without a rebuild", async () => {
+  const cell = createCell(`<mesh></mesh>`, `render="on-demand"`);
+  await nextFrame(100);
+  const { calls } = cell.threeRenderer;
+  cell.cellElm.removeAttribute("render");
+  await nextFrame(100);
+  const count = calls.render;
+  await nextFrame(100);
+  assert.equal(cell.renderMode, "always");
+  assert.ok(calls.render > count + 2);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, createCell, pointer, nextFrame } from "./helpers.js";
+
+function clicksOn(cell, id) {
+  const seen = [];
+  cell.getConvictById(id).userData.domEl.addEventListener("cellclick", (evt) => seen.push(evt.target3d.userData.domEl.id));
+  return seen;
+}
+
+test("raycast picking skips the hollow middle of a ring that bounds picking hits", () => {
+  addStyle(`mesh { --geometry: torus(2, 0.2); }`);
+  const raycastCell = createCell(`<mesh id="ring" onclick=""></mesh>`);
+  const boundsCell = createCell(`<mesh id="ring" onclick=""></mesh>`, `pick="bounds"`);
+  const missed = clicksOn(raycastCell, "ring");
+  const hit = clicksOn(boundsCell, "ring");
+  pointer(raycastCell, "click");
+  pointer(boundsCell, "click");
+  assert.deepEqual(missed, []);
+  assert.deepEqual(hit, ["ring"]);
+});
+
+test("bvh picking hits the nearest mesh once the accelerator has loaded", async () => {
+  addStyle(`mesh { --geometry: box(2, 2, 2); } #back { --position: (0, 0, -4); }`);
+  const cell = createCell(`<mesh id="back" onclick=""></mesh><mesh id="front" onclick=""></mesh>`, `pick="bvh"`);
+  const seen = [];
+  cell.cellElm.addEventListener("cellclick", (evt) => seen.push(evt.target3d.userData.domEl.id));
+  pointer(cell, "click");
+  await import("three-mesh-bvh");
+  await nextFrame();
+  pointer(cell, "click");
+  assert.deepEqual(seen, ["front", "front"]);
+  assert.ok(cell.getConvictById("front").geometry.boundsTree);
+});
+
+test("gpu picking reads the hit mesh from the id buffer and restores the scene", () => {
+  addStyle(`mesh { --geometry: box(2, 2, 2); } #back { --position: (0, 0, -4); }`);
+  const cell = createCell(`<mesh id="front" onclick=""></mesh><mesh id="back" onclick=""></mesh>`, `pick="gpu"`);
+  const front = cell.getConvictById("front");
+  const material = front.material;
+  const seen = clicksOn(cell, "back");
+  let pickedWith = null;
+  cell.threeRenderer.readRenderTargetPixels = (target, x, y, w, h, pixel) => {
+    pickedWith = front.material;
+    pixel.set([0, 0, 2, 255]);
+  };
+  pointer(cell, "click");
+  assert.deepEqual(seen, ["back"]);
+  assert.notEqual(pickedWith, material);
+  assert.equal(front.material, material);
+  assert.ok(!cell.focusedCamera.view.enabled);
+});
+
+test("pick-layers opts plain meshes in and unknown modes fall back to raycasting", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  addStyle(`mesh { --geometry: box(2, 2, 2); }`);
+  const cell = createCell(`<mesh id="plain"></mesh>`, `pick="magic"`);
+  assert.equal(cell.pickOptions.mode, "raycast");
+  assert.equal(warn.mock.callCount(), 1);
+  const seen = [];
+  cell.cellElm.addEventListener("cellclick", (evt) => seen.push(evt.target3d));
+  pointer(cell, "click");
+  assert.deepEqual(seen, []);
+  cell.cellElm.setAttribute("pick-layers", "0 3");
+  return nextFrame().then(() => {
+    pointer(cell, "click");
+    assert.deepEqual(seen, [cell.getConvictById("plain")]);
+  });
+});
+
+test("the point threshold widens point picks", async () => {
+  addStyle(`points { --geometry: box(2, 2, 2); }`);
+  const cell = createCell(`<points id="cloud" onclick=""></points>`);
+  const seen = clicksOn(cell, "cloud");
+  pointer(cell, "click");
+  assert.deepEqual(seen, []);
+  cell.cellElm.setAttribute("pick-point-threshold", "2");
+  cell.cellElm.setAttribute("pick-line-threshold", "0.25");
+  await nextFrame();
+  assert.equal(cell.pickOptions.lineThreshold, 0.25);
+  pointer(cell, "click");
+  assert.deepEqual(seen, ["cloud"]);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, createCell, nextFrame, pointer } from "./helpers.js";
+
+function boxCell(markup) {
+  addStyle(`mesh { --geometry: box(2, 2, 2); }`);
+  return createCell(markup);
+}
+
+function record(el, types) {
+  const seen = [];
+  types.forEach((type) => el.addEventListener(type, (evt) => seen.push(evt.type)));
+  return seen;
+}
+
+test("a press and release without movement is a tap", () => {
+  const cell = boxCell(`<mesh id="box" onclick=""></mesh>`);
+  const seen = record(cell.getConvictById("box").userData.domEl, ["celldown", "cellup", "celltap", "celllongpress"]);
+  pointer(cell, "pointerdown");
+  pointer(cell, "pointerup");
+  assert.deepEqual(seen, ["celldown", "cellup", "celltap"]);
+});
+
+test("moving past the tolerance cancels the tap", () => {
+  const cell = boxCell(`<mesh id="box" onclick=""></mesh>`);
+  const seen = record(cell.getConvictById("box").userData.domEl, ["celltap"]);
+  pointer(cell, "pointerdown");
+  pointer(cell, "pointerup", { x: 165 });
+  assert.deepEqual(seen, []);
+});
+
+test("holding still fires a long press instead of a tap", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const cell = boxCell(`<mesh id="box" onclick=""></mesh>`);
+  const seen = record(cell.getConvictById("box").userData.domEl, ["celltap", "celllongpress"]);
+  pointer(cell, "pointerdown");
+  t.mock.timers.tick(500);
+  pointer(cell, "pointerup");
+  assert.deepEqual(seen, ["celllongpress"]);
+});
+
+test("each pointer keeps its own hover and press state", () => {
+  addStyle(`#box:active { --scale: (2, 2, 2); }`);
+  const cell = boxCell(`<mesh id="box" onclick=""></mesh>`);
+  const box = cell.getConvictById("box");
+  const taps = [];
+  box.userData.domEl.addEventListener("celltap", (evt) => taps.push(evt.pointerId));
+  pointer(cell, "pointerdown", { pointerId: 1, pointerType: "touch" });
+  pointer(cell, "pointerdown", { pointerId: 2, pointerType: "touch", isPrimary: false });
+  pointer(cell, "pointerup", { pointerId: 2, pointerType: "touch", isPrimary: false });
+  assert.deepEqual(taps, [2]);
+  assert.ok(box.userData.extraParams.includes(":active"));
+  assert.deepEqual(box.scale.toArray(), [2, 2, 2]);
+  pointer(cell, "pointerup", { pointerId: 1, pointerType: "touch" });
+  assert.deepEqual(taps, [2, 1]);
+  assert.ok(!box.userData.extraParams.includes(":active"));
+  assert.ok(!box.userData.extraParams.includes(":hover"));
+  assert.equal(cell._pointers.size, 0);
+});
+
+test("pointer moves are coalesced into one hover per frame", async () => {
+  const cell = boxCell(`<mesh id="box" onclick=""></mesh>`);
+  const seen = record(cell.getConvictById("box").userData.domEl, ["cellhover", "cellmouseenter"]);
+  pointer(cell, "pointermove", { x: 149 });
+  pointer(cell, "pointermove", { x: 150 });
+  pointer(cell, "pointermove", { x: 151 });
+  await nextFrame();
+  assert.deepEqual(seen, ["cellmouseenter", "cellhover"]);
+});
+
+test("ontap and onlongpress are function properties, even when assigned after paint", () => {
+  const cell = boxCell(`<mesh id="box"></mesh>`);
+  const box = cell.getConvictById("box");
+  const calls = [];
+  pointer(cell, "pointerdown");
+  pointer(cell, "pointerup");
+  assert.equal(box.layers.isEnabled(3), false);
+  box.userData.domEl.ontap = (evt) => calls.push(evt.target3d);
+  assert.equal(box.layers.isEnabled(3), true);
+  pointer(cell, "pointerdown");
+  pointer(cell, "pointerup");
+  assert.deepEqual(calls, [box]);
+  box.userData.domEl.ontap = null;
+  assert.equal(box.layers.isEnabled(3), false);
+});
+
+test("ontap attributes are reported as ignored", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  boxCell(`<mesh ontap="spin()"></mesh>`);
+  assert.ok(warn.mock.calls.some((call) => /ontap="\.\.\." is ignored/.test(call.arguments[0])));
+});
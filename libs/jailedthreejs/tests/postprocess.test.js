@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, createCell, nextFrame } from "./helpers.js";
+
+async function composerReady(cell) {
+  for (let i = 0; i < 20 && !cell._composer; i++) await nextFrame();
+  return cell._composer;
+}
+
+const passNames = (composer) => composer.passes.map((pass) => pass.constructor.name);
+
+test("--postprocess builds an EffectComposer chain with its parameters", async () => {
+  addStyle(`cell { --postprocess: vignette(0.5, 2) rgbshift(0.01); }`);
+  const cell = createCell(`<mesh></mesh>`);
+  const composer = await composerReady(cell);
+  assert.deepEqual(passNames(composer), ["RenderPass", "ShaderPass", "ShaderPass", "OutputPass"]);
+  const [, vignette, rgbshift] = composer.passes;
+  assert.equal(vignette.uniforms.darkness.value, 0.5);
+  assert.equal(vignette.uniforms.offset.value, 2);
+  assert.equal(rgbshift.uniforms.amount.value, 0.01);
+  assert.ok(cell.threeRenderer.calls.render > 0);
+});
+
+test("<pass> elements append passes styled through their own properties", async () => {
+  addStyle(`#grain { --intensity: 0.8; }`);
+  const cell = createCell(`<mesh></mesh><pass id="grain" type="film"></pass>`);
+  const composer = await composerReady(cell);
+  assert.deepEqual(passNames(composer), ["RenderPass", "FilmPass", "OutputPass"]);
+  await nextFrame();
+  assert.equal(composer.passes[1].uniforms.intensity.value, 0.8);
+});
+
+test("unknown passes warn and removing the chain drops the composer", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const cell = createCell(`<mesh></mesh>`, `style="--postprocess: sparkle fxaa"`);
+  await composerReady(cell);
+  assert.ok(warn.mock.calls.some((call) => /unknown pass "sparkle"/.test(call.arguments[0])));
+  cell.cellElm.style.setProperty("--postprocess", "none");
+  await nextFrame(100);
+  assert.equal(cell._composer, null);
+});
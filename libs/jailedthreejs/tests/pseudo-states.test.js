@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { THREE, addStyle, createCell, pointer, nextFrame } from "./helpers.js";
+
+const flags = (convict) => convict.userData.extraParams;
+
+function disposed(resource) {
+  const state = { disposed: false };
+  resource.addEventListener("dispose", () => {
+    state.disposed = true;
+  });
+  return state;
+}
+
+test("clicking a convict focuses it and marks its ancestors :focus-within", () => {
+  addStyle(`
+    mesh { --geometry: box(2, 2, 2); }
+    #arm:focus-within { --scale: (2, 2, 2); }
+  `);
+  const cell = createCell(`<object3d id="arm"><mesh id="hand" onclick=""></mesh></object3d>`);
+  const arm = cell.getConvictById("arm");
+  const hand = cell.getConvictById("hand");
+  pointer(cell, "click");
+  assert.ok(flags(hand).includes(":focus"));
+  assert.ok(flags(hand).includes(":focus-within"));
+  assert.ok(flags(arm).includes(":focus-within"));
+  assert.ok(!flags(arm).includes(":focus"));
+  assert.deepEqual(arm.scale.toArray(), [2, 2, 2]);
+  pointer(cell, "pointerdown", { x: 0, y: 0 });
+  pointer(cell, "click", { x: 0, y: 0 });
+  assert.ok(!flags(hand).includes(":focus"));
+  assert.ok(!flags(arm).includes(":focus-within"));
+  assert.deepEqual(arm.scale.toArray(), [1, 1, 1]);
+});
+
+test("toggle convicts flip :checked and report cellchange", () => {
+  addStyle(`mesh { --geometry: box(2, 2, 2); } #lamp:checked { --material-color: #ffff00; }`);
+  const cell = createCell(`<mesh id="lamp" toggle></mesh>`);
+  const lamp = cell.getConvictById("lamp");
+  const changes = [];
+  lamp.userData.domEl.addEventListener("cellchange", (evt) => changes.push(evt.checked));
+  assert.equal(lamp.userData.domEl.getAttribute("aria-checked"), "false");
+  pointer(cell, "click");
+  assert.ok(flags(lamp).includes(":checked"));
+  assert.ok(lamp.userData.domEl.hasAttribute("checked"));
+  assert.equal(lamp.userData.domEl.getAttribute("aria-checked"), "true");
+  assert.equal(lamp.material.color.getHex(), 0xffff00);
+  pointer(cell, "click");
+  assert.deepEqual(changes, [true, false]);
+  assert.equal(lamp.material.color.getHex(), 0xffffff);
+});
+
+test("radio groups keep one convict checked", async () => {
+  addStyle(`mesh { --geometry: box(2, 2, 2); } #blue { --position: (0, 0, -5); }`);
+  const cell = createCell(`<mesh id="red" toggle="paint" tabindex="0"></mesh><mesh id="blue" toggle="paint" checked></mesh>`);
+  const red = cell.getConvictById("red");
+  const blue = cell.getConvictById("blue");
+  const changes = [];
+  cell.cellElm.addEventListener("cellchange", (evt) => changes.push([evt.target.id, evt.checked]));
+  assert.ok(flags(blue).includes(":checked"));
+  assert.equal(red.userData._mirrorEl.getAttribute("role"), "radio");
+  pointer(cell, "click");
+  pointer(cell, "click");
+  assert.deepEqual(changes, [["red", true], ["blue", false]]);
+  blue.userData.domEl.setAttribute("checked", "");
+  await nextFrame();
+  assert.ok(flags(blue).includes(":checked"));
+});
+
+test("values set outside CSS come back when a state rule stops applying", async () => {
+  addStyle(`mesh { --geometry: box(2, 2, 2); } #lamp:checked { --position: (0, 3, 0); --material-opacity: 0.25; }`);
+  const cell = createCell(`<mesh id="lamp" toggle></mesh>`);
+  const lamp = cell.getConvictById("lamp");
+  lamp.position.set(1, 0, 0);
+  lamp.material.opacity = 0.75;
+  pointer(cell, "click");
+  assert.deepEqual(lamp.position.toArray(), [0, 3, 0]);
+  assert.equal(lamp.material.opacity, 0.25);
+  lamp.userData.domEl.removeAttribute("checked");
+  await nextFrame();
+  assert.ok(!flags(lamp).includes(":checked"));
+  assert.deepEqual(lamp.position.toArray(), [1, 0, 0]);
+  assert.equal(lamp.material.opacity, 0.75);
+});
+
+test("base materials and geometries swapped out by a state rule stay alive until the convict goes", async () => {
+  addStyle(`#lamp:checked { --material: toon; --geometry: sphere(1); }`);
+  const cell = createCell(`<mesh id="lamp" toggle></mesh>`);
+  const lamp = cell.getConvictById("lamp");
+  const material = lamp.material;
+  const geometry = lamp.geometry = new THREE.BoxGeometry();
+  const materialState = disposed(material);
+  const geometryState = disposed(geometry);
+  lamp.userData.domEl.setAttribute("checked", "");
+  await nextFrame();
+  assert.ok(lamp.material.isMeshToonMaterial);
+  assert.equal(lamp.geometry.type, "SphereGeometry");
+  assert.deepEqual([materialState.disposed, geometryState.disposed], [false, false]);
+  lamp.userData.domEl.removeAttribute("checked");
+  await nextFrame();
+  assert.equal(lamp.material, material);
+  assert.equal(lamp.geometry, geometry);
+  lamp.userData.domEl.setAttribute("checked", "");
+  await nextFrame();
+  lamp.userData.domEl.remove();
+  await nextFrame();
+  assert.equal(materialState.disposed, true);
+  assert.equal(geometryState.disposed, true);
+});
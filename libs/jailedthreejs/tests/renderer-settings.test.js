@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JT, THREE, addStyle, createCell } from "./helpers.js";
+
+test("cell styles configure the renderer, shadows, background and fog", () => {
+  addStyle(`
+    cell {
+      --renderer-toneMapping: aces;
+      --renderer-toneMappingExposure: 1.5;
+      --shadow-map: pcfsoft;
+      --background: #102030;
+      --fog: (2, 40, #ffffff);
+    }
+  `);
+  const cell = createCell(`<mesh id="box"></mesh>`);
+  const { threeRenderer: renderer, loadedScene: scene } = cell;
+  assert.equal(renderer.toneMapping, THREE.ACESFilmicToneMapping);
+  assert.equal(renderer.toneMappingExposure, 1.5);
+  assert.equal(renderer.shadowMap.enabled, true);
+  assert.equal(renderer.shadowMap.type, THREE.PCFSoftShadowMap);
+  assert.equal(scene.background.getHexString(THREE.SRGBColorSpace), "102030");
+  assert.ok(scene.fog.isFog);
+  assert.deepEqual([scene.fog.near, scene.fog.far], [2, 40]);
+});
+
+test("a single fog number switches to exponential fog", () => {
+  addStyle(`cell { --fog: (0.05, black); }`);
+  const cell = createCell(``);
+  assert.ok(cell.loadedScene.fog.isFogExp2);
+  assert.equal(cell.loadedScene.fog.density, 0.05);
+});
+
+test("removing a setting restores the renderer default", () => {
+  const style = addStyle(`cell { --renderer-toneMapping: agx; --background: transparent; }`);
+  const cell = createCell(``);
+  assert.equal(cell.threeRenderer.toneMapping, THREE.AgXToneMapping);
+  style.remove();
+  JT.markGlobalStyleCacheDirty();
+  JT.paintCell(cell);
+  assert.equal(cell.threeRenderer.toneMapping, THREE.NoToneMapping);
+  assert.equal(cell.loadedScene.background, null);
+});
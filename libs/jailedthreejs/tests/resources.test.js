@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JT, addStyle, createCell, nextFrame } from "./helpers.js";
+
+function disposed(resource) {
+  const state = { disposed: false };
+  resource.addEventListener("dispose", () => {
+    state.disposed = true;
+  });
+  return state;
+}
+
+test("shared resources are disposed when their last convict lets go", async () => {
+  addStyle(`.crate { --geometry: cube; }`);
+  const cell = createCell(`<mesh id="a" class="crate"></mesh><mesh id="b" class="crate"></mesh>`);
+  const a = cell.getConvictById("a");
+  const b = cell.getConvictById("b");
+  assert.equal(a.geometry, b.geometry);
+  const geometry = disposed(a.geometry);
+  const material = disposed(a.material);
+  a.userData.domEl.remove();
+  await nextFrame(0);
+  assert.equal(geometry.disposed, false);
+  assert.equal(material.disposed, true);
+  b.userData.domEl.remove();
+  await nextFrame(0);
+  assert.equal(geometry.disposed, true);
+});
+
+test("stats() counts what the cell's convicts hold", () => {
+  addStyle(`.crate { --geometry: cube; }`);
+  const cell = createCell(`<mesh class="crate"></mesh><mesh class="crate"></mesh><object3d></object3d>`);
+  const stats = cell.stats();
+  assert.equal(stats.convicts, 3);
+  assert.equal(stats.geometries, 1);
+  assert.equal(stats.materials, 2);
+  assert.equal(stats.textures, 0);
+  assert.deepEqual(Object.keys(stats.gpu), ["geometries", "textures", "programs"]);
+});
+
+test("dispose({ deep }) releases resources and the renderer", (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const before = JT.getResourceStats();
+  const cell = createCell(`<mesh id="a"></mesh><mesh id="b"></mesh>`);
+  const material = disposed(cell.getConvictById("a").material);
+  assert.equal(JT.getResourceStats().materials, before.materials + 2);
+  cell.dispose({ deep: true });
+  assert.equal(material.disposed, true);
+  assert.equal(cell.threeRenderer.calls.disposed, true);
+  assert.equal(JT.getResourceStats().materials, before.materials);
+  assert.equal(JT.Cell.getCell(cell.cellElm), null);
+  assert.equal(error.mock.callCount(), 1);
+});
+
+test("a shallow dispose keeps resources alive", () => {
+  const cell = createCell(`<mesh id="a"></mesh>`);
+  const material = disposed(cell.getConvictById("a").material);
+  cell.dispose();
+  assert.equal(material.disposed, false);
+  assert.equal(cell.threeRenderer.calls.disposed, undefined);
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JT, createCell } from "./helpers.js";
+
+test("scoped stylesheets only style their own cell", () => {
+  const a = createCell(`<style scoped>.dot { --position: (1, 0, 0); }</style><mesh id="a" class="dot"></mesh>`);
+  const b = createCell(`<style scoped>.dot { --position: (2, 0, 0); }</style><mesh id="b" class="dot"></mesh>`);
+  JT.paintCell(a);
+  assert.deepEqual(a.getConvictById("a").position.toArray(), [1, 0, 0]);
+  assert.deepEqual(b.getConvictById("b").position.toArray(), [2, 0, 0]);
+});
+
+test("scoped sheets are taken out of the page's own cascade but still style their cell", () => {
+  const cell = createCell(`<style scoped>.dot { --position: (1, 0, 0); }</style><mesh id="a" class="dot"></mesh>`);
+  JT.paintCell(cell);
+  assert.equal(cell.cellElm.querySelector("style").sheet.disabled, true);
+  assert.deepEqual(cell.getConvictById("a").position.toArray(), [1, 0, 0]);
+  cell.getConvictById("a").position.set(0, 0, 0);
+  JT.markGlobalStyleCacheDirty();
+  JT.paintCell(cell);
+  assert.deepEqual(cell.getConvictById("a").position.toArray(), [1, 0, 0]);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, createCell, nextFrame } from "./helpers.js";
+
+const scene = `
+  <mesh id="root" class="pf-object">
+    <mesh id="inner" class="pf-object" data-kind="planet">
+      <mesh id="moon" class="pf-object"></mesh>
+    </mesh>
+    <mesh id="first" class="pf-object"></mesh>
+    <mesh id="second" class="pf-object"></mesh>
+  </mesh>`;
+
+test("descendant and child combinators walk the convict's DOM ancestry", () => {
+  addStyle(`
+    cell#root-cell mesh.pf-object > mesh { --position: (1, 0, 0); }
+    cell mesh mesh mesh { --scale: (2, 2, 2); }
+  `);
+  const cell = createCell(scene, `id="root-cell"`);
+  assert.deepEqual(cell.getConvictById("inner").position.toArray(), [1, 0, 0]);
+  assert.deepEqual(cell.getConvictById("root").position.toArray(), [0, 0, 0]);
+  assert.deepEqual(cell.getConvictById("moon").scale.toArray(), [2, 2, 2]);
+  assert.deepEqual(cell.getConvictById("inner").scale.toArray(), [1, 1, 1]);
+});
+
+test("attribute, tag and :not() selectors match", () => {
+  addStyle(`
+    [data-kind="planet"] { --position: (0, 3, 0); }
+    perspectivecamera { --position: (0, 0, 25); }
+    mesh:not(.pf-object) { --position: (9, 9, 9); }
+  `);
+  const cell = createCell(`${scene}<perspectivecamera id="cam"></perspectivecamera><mesh id="plain"></mesh>`);
+  assert.deepEqual(cell.getConvictById("inner").position.toArray(), [0, 3, 0]);
+  assert.deepEqual(cell.getConvictById("cam").position.toArray(), [0, 0, 25]);
+  assert.deepEqual(cell.getConvictById("plain").position.toArray(), [9, 9, 9]);
+  assert.deepEqual(cell.getConvictById("root").position.toArray(), [0, 0, 0]);
+});
+
+test("sibling combinators skip the renderer canvas", () => {
+  addStyle(`
+    #first + .pf-object { --position: (0, 0, 4); }
+    #inner ~ #second { --scale: (5, 5, 5); }
+  `);
+  const cell = createCell(`
+    <mesh id="inner" class="pf-object"></mesh>
+    <mesh id="first" class="pf-object"></mesh>
+    <canvas></canvas>
+    <mesh id="second" class="pf-object"></mesh>`);
+  const second = cell.getConvictById("second");
+  assert.deepEqual(second.position.toArray(), [0, 0, 4]);
+  assert.deepEqual(second.scale.toArray(), [5, 5, 5]);
+});
+
+test("changing an attribute used by a selector repaints the convict", async () => {
+  addStyle(`[data-kind="planet"] { --position: (0, 3, 0); }`);
+  const cell = createCell(`<mesh id="rock" data-kind="asteroid"></mesh>`);
+  const rock = cell.getConvictById("rock");
+  assert.deepEqual(rock.position.toArray(), [0, 0, 0]);
+  rock.userData.domEl.setAttribute("data-kind", "planet");
+  await nextFrame();
+  assert.deepEqual(rock.position.toArray(), [0, 3, 0]);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addStyle, createCell, serveAsset, waitForEvent } from "./helpers.js";
+
+const square = "m 0 0 l 600 0 l 600 700 l 0 700 z";
+const font = {
+  familyName: "Blocks",
+  resolution: 1000,
+  underlineThickness: 50,
+  boundingBox: { xMin: 0, xMax: 600, yMin: 0, yMax: 700 },
+  glyphs: { H: { ha: 700, o: square }, I: { ha: 700, o: square } }
+};
+serveAsset("./fonts/blocks.typeface.json", `data:application/json,${encodeURIComponent(JSON.stringify(font))}`);
+const star = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 10"><path d="M0 0 L20 0 L20 10 L0 10 Z"/></svg>`;
+serveAsset("icons/star.svg", `data:image/svg+xml,${encodeURIComponent(star)}`);
+
+test("text3d builds extruded, centred text from its content and a font asset", async () => {
+  addStyle(`
+    @blocks { url: /fonts/blocks.typeface.json; }
+    #title { --font: blocks; --textOptions-depth: 0.5; }
+  `);
+  const cell = createCell(`<text3d id="title">HI</text3d>`);
+  const title = cell.getConvictById("title");
+  await waitForEvent(title, "GeometryRebuilt");
+  const box = title.geometry.boundingBox;
+  assert.equal(title.geometry.type, "ExtrudeGeometry");
+  assert.ok(Math.abs(box.min.x + box.max.x) < 1e-6);
+  assert.ok(Math.abs(box.max.z - 0.5) < 1e-6);
+  const width = box.max.x - box.min.x;
+  title.userData.domEl.textContent = "H";
+  await waitForEvent(title, "GeometryRebuilt");
+  assert.ok(title.geometry.boundingBox.max.x - title.geometry.boundingBox.min.x < width);
+});
+
+test("svgshape fits its SVG paths to size and rebuilds flat without depth", async () => {
+  addStyle(`#icon { --shapeOptions-size: 2; --shapeOptions-depth: 0; }`);
+  const cell = createCell(`<svgshape id="icon" src="icons/star.svg"></svgshape>`);
+  const icon = cell.getConvictById("icon");
+  await waitForEvent(icon, "GeometryRebuilt");
+  icon.geometry.computeBoundingBox();
+  const box = icon.geometry.boundingBox;
+  assert.equal(icon.geometry.type, "ShapeGeometry");
+  assert.ok(Math.abs(box.max.x - box.min.x - 2) < 1e-6);
+  assert.ok(Math.abs(box.max.y - box.min.y - 1) < 1e-6);
+});
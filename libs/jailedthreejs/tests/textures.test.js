@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JT, THREE, addStyle, createCell } from "./helpers.js";
+
+test("texture settings apply to the texture in a material slot", () => {
+  addStyle(`
+    #floor {
+      --material-map-repeat: (4, 2);
+      --material-map-wrap: repeat mirror;
+      --material-map-rotation: 90deg;
+      --material-map-colorspace: srgb;
+      --material-map-minfilter: nearest;
+    }
+  `);
+  const cell = createCell(`<mesh id="floor"></mesh>`);
+  const floor = cell.getConvictById("floor");
+  const map = floor.material.map = new THREE.Texture();
+  JT.paintCell(cell);
+  assert.deepEqual(map.repeat.toArray(), [4, 2]);
+  assert.equal(map.wrapS, THREE.RepeatWrapping);
+  assert.equal(map.wrapT, THREE.MirroredRepeatWrapping);
+  assert.equal(map.rotation, Math.PI / 2);
+  assert.equal(map.colorSpace, THREE.SRGBColorSpace);
+  assert.equal(map.minFilter, THREE.NearestFilter);
+});
+
+test("textures assigned from CSS are cloned so settings stay per convict", () => {
+  addStyle(`
+    #tile { --material-map: @floor-material-map; --material-map-repeat: (3, 3); }
+  `);
+  const cell = createCell(`<mesh id="floor"></mesh><mesh id="tile"></mesh>`);
+  const source = cell.getConvictById("floor").material.map = new THREE.Texture();
+  JT.paintCell(cell);
+  const map = cell.getConvictById("tile").material.map;
+  assert.ok(map.isTexture);
+  assert.notEqual(map, source);
+  assert.deepEqual(map.repeat.toArray(), [3, 3]);
+  assert.deepEqual(source.repeat.toArray(), [1, 1]);
+});
+
+test("invalid texture settings warn and leave the texture alone", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  addStyle(`#floor { --material-map-wrap: sideways; }`);
+  const cell = createCell(`<mesh id="floor"></mesh>`);
+  const map = cell.getConvictById("floor").material.map = new THREE.Texture();
+  JT.paintCell(cell);
+  assert.equal(map.wrapS, THREE.ClampToEdgeWrapping);
+  assert.ok(warn.mock.calls.some((call) => /Invalid texture wrap value "sideways"/.test(call.arguments[0])));
+});
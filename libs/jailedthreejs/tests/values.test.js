@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JT, addStyle, createCell } from "./helpers.js";
+
+test("math functions evaluate to numbers", () => {
+  assert.equal(JT.CSSValueTo3JSValue("calc(2 * 3 + 1)"), 7);
+  assert.deepEqual(JT.CSSValueTo3JSValue("(calc(1 + 1), max(2, 5), clamp(0, -4, 3))"), [2, 5, 0]);
+  assert.equal(JT.CSSValueTo3JSValue("round(2.6)"), 3);
+});
+
+test("angle units convert to radians", () => {
+  assert.equal(JT.CSSValueTo3JSValue("180deg"), Math.PI);
+  assert.equal(JT.CSSValueTo3JSValue("0.25turn"), Math.PI / 2);
+  assert.equal(JT.CSSValueTo3JSValue("calc(90deg * 2)"), Math.PI);
+});
+
+test("var() resolves through the convict ancestry and falls back", () => {
+  addStyle(`
+    #parent { --spread: 4; }
+    #child { --position: (var(--spread), calc(var(--spread) / 2), var(--missing, 1)); }
+  `);
+  const cell = createCell(`<object3d id="parent"><mesh id="child"></mesh></object3d>`);
+  assert.deepEqual(cell.getConvictById("child").position.toArray(), [4, 2, 1]);
+});
+
+test("var() resolves against custom properties declared on the cell", () => {
+  addStyle(`
+    cell { --tilt: 90deg; }
+    #child { --rotation: (0, var(--tilt), 0); }
+  `);
+  const cell = createCell(`<mesh id="child"></mesh>`);
+  assert.ok(Math.abs(cell.getConvictById("child").rotation.y - Math.PI / 2) < 1e-9);
+});
+
+test("vars declared on a cell by its scoped sheet do not leak into other cells", () => {
+  const a = createCell(`
+    <style scoped>cell { --ring: 3; } .dot { --position: (var(--ring), 0, 0); }</style>
+    <mesh id="a" class="dot"></mesh>`);
+  const b = createCell(`<mesh id="b" style="--position: (var(--ring, 7), 0, 0)"></mesh>`);
+  JT.paintCell(a);
+  JT.paintCell(b);
+  assert.deepEqual(a.getConvictById("a").position.toArray(), [3, 0, 0]);
+  assert.deepEqual(b.getConvictById("b").position.toArray(), [7, 0, 0]);
+});
@@ -13,7 +13,8 @@ const root_pf = root_cell_object.getConvictById("root");
 const distanceBetweenCenter = 3.4;
 const incrementDistanceBetweenRings = 2;
 
-const randomColors = ["#23CE6B", "#52528C", "#372554", "#81523F", "#E6C229","#861657","#A64253","#D56AA0","#06087B","#5D737E"];
+// Palette lives in style.css (--palette-0 ... --palette-9).
+const randomColors = Array.from({ length: 10 }, (_, i) => `var(--palette-${i})`);
 
 
 
@@ -69,11 +70,11 @@ function setup_children_position(root_convict_elm, rootCell = null, hierarchycou
     element.style.setProperty("--position", `(${currentOffsetX},${tempCurrentConvict.parent.position.y},${currentOffsetZ})`);
     element.style.setProperty("--scale", `(${tempCurrentConvict.parent.scale.x*zOffst},${tempCurrentConvict.parent.scale.y*zOffst},${tempCurrentConvict.parent.scale.z*zOffst})`);
 
-    const currentPick = randomColors[Math.round(Math.random()*randomColors.length-1)]
+    const currentPick = randomColors[Math.floor(Math.random()*randomColors.length)]
     if(!reservedColors.includes(currentPick))
         reservedColors.push(currentPick);
     else
-        reservedColors.push(randomColors[Math.round(Math.random()*randomColors.length-1)]);
+        reservedColors.push(randomColors[Math.floor(Math.random()*randomColors.length)]);
 
     element.style.setProperty("--material-color", reservedColors[i]);
 